@@ -4,41 +4,210 @@
  */
 
 class GameBoard {
-    constructor(size = 8) {
-        this.size = size;
-        this.emojis = ['🍎', '🍌', '🍇', '🍓', '🍒', '🥝', '🍑', '🍍'];
+    constructor(rows = 8, cols = rows, rng = new SeededRandom()) {
+        this.rows = rows;
+        this.cols = cols;
+        this.rng = rng;
+        this.defaultEmojis = ['🍎', '🍌', '🍇', '🍓', '🍒', '🥝', '🍑', '🍍'];
+        this.emojis = [...this.defaultEmojis];
+        this.layout = null;
+        this.mask = null;
+        this.blockerLayout = null;
+        this.jellyLayout = null;
+        this.ingredientSettings = null;
+        this.ingredientsSpawned = 0;
+        this.timerBombSettings = null;
+        this.timerBombIcon = '💣';
+        this.opening = { minMoves: 1, specialMoves: 0 };
+        this.spawnTable = { weights: {}, columns: {}, specials: {} };
+        this.gravityLayout = null;
+        this.spawnerLayout = null;
+        this.spawners = [];
+        this.portalLayout = null;
+        this.conveyorLayout = null;
+        this.portals = [];
+        this.conveyors = [];
+        this.gravityDirections = {
+            down: { row: 1, col: 0, edge: 'top' },
+            up: { row: -1, col: 0, edge: 'bottom' },
+            left: { row: 0, col: -1, edge: 'right' },
+            right: { row: 0, col: 1, edge: 'left' }
+        };
+        this.blockerTypes = {
+            ice: { icon: '🧊', occupiesCell: true, breaksFromMatches: true, maxHits: 2 },
+            stone: { icon: '🪨', occupiesCell: true, breaksFromMatches: false, maxHits: 1 },
+            chocolate: { icon: '🍫', occupiesCell: true, breaksFromMatches: true, maxHits: 1 },
+            cage: { icon: '🔒', occupiesCell: false, breaksFromMatches: true, maxHits: 1 }
+        };
         this.specialEmojis = {
-            lightning: '⚡',
+            striped: '⚡',
             rainbow: '🌈',
-            bomb: '💥'
+            bomb: '💥',
+            fluttery: '🦋'
         };
+        // Swapping these special pairs (sorted by name) sets off a combo instead of a match
+        this.specialCombos = {
+            'striped+striped': 'stripedStriped',
+            'bomb+striped': 'stripedBomb',
+            'bomb+bomb': 'bombBomb',
+            'normal+rainbow': 'rainbowNormal',
+            'rainbow+striped': 'rainbowStriped',
+            'bomb+rainbow': 'rainbowBomb',
+            'rainbow+rainbow': 'rainbowRainbow',
+            'fluttery+fluttery': 'flutteryFluttery',
+            'fluttery+striped': 'flutteryStriped',
+            'bomb+fluttery': 'flutteryBomb',
+            'fluttery+rainbow': 'rainbowFluttery'
+        };
+        // Unfinished objectives that flutteries aim for (see setTargetGoals)
+        this.targetGoals = { emojis: [], jelly: false, blockers: [], ingredients: false };
         this.grid = [];
+        this.blockers = [];
+        this.jelly = [];
         this.init();
     }
 
+    /**
+     * Apply level settings before the next init()
+     * layout is a rows x cols array of emojis, with null for random cells
+     * mask is a rows x cols array of booleans, false for void cells
+     * blockers is a rows x cols array of { type, hits } or null
+     * jelly is a rows x cols array of jelly layers (0, 1 or 2)
+     * ingredients is { emojis, total, maxOnBoard, spawnChance, exits } or null
+     * opening is { minMoves, specialMoves } for the starting board
+     * spawn is { colors, weights, columns, specials }: palette size, per-emoji spawn weights,
+     * per-column weight overrides and the chance of a special dropping in from the top
+     * gravity is a rows x cols array of 'down', 'up', 'left' or 'right' (null cells fall down)
+     * spawners is a list of { row, col, edge } cells that new tiles enter through;
+     * null puts one at the head of every gravity chain
+     * portals is a list of { entrance, exit } cells; a tile falling out of the entrance comes out at the exit
+     * conveyors is a list of { path } belts; each move carries their tiles one cell along the path
+     * timerBombs is { countdown, spawnChance, maxOnBoard } or null
+     */
+    configure({
+        rows = 8, cols = rows, emojis = null, layout = null, mask = null,
+        blockers = null, jelly = null, ingredients = null, opening = null, spawn = null,
+        gravity = null, spawners = null, portals = null, conveyors = null, timerBombs = null
+    } = {}) {
+        this.rows = rows;
+        this.cols = cols;
+        const palette = emojis || this.defaultEmojis;
+        this.emojis = spawn && spawn.colors ? palette.slice(0, spawn.colors) : [...palette];
+        this.spawnTable = {
+            weights: { ...(spawn && spawn.weights) },
+            columns: { ...(spawn && spawn.columns) },
+            specials: { ...(spawn && spawn.specials) }
+        };
+        this.layout = layout ? layout.map(row => [...row]) : null;
+        this.mask = mask ? mask.map(row => [...row]) : null;
+        this.blockerLayout = blockers ? blockers.map(row => row.map(cell => cell && { ...cell })) : null;
+        this.jellyLayout = jelly ? jelly.map(row => [...row]) : null;
+        this.ingredientSettings = ingredients ? {
+            ...ingredients,
+            emojis: [...ingredients.emojis],
+            exits: ingredients.exits ? [...ingredients.exits] : null
+        } : null;
+        this.opening = { minMoves: 1, specialMoves: 0, ...opening };
+        this.timerBombSettings = timerBombs ? { ...timerBombs } : null;
+        this.gravityLayout = gravity ? gravity.map(row => [...row]) : null;
+        this.spawnerLayout = spawners ? spawners.map(spawner => ({ ...spawner })) : null;
+        this.portalLayout = portals ? this.copyPortals(portals) : null;
+        this.conveyorLayout = conveyors ? this.copyConveyors(conveyors) : null;
+    }
+
+    /**
+     * Copy a portal list so the board never shares it with level data
+     */
+    copyPortals(portals) {
+        return portals.map(({ entrance, exit }) => ({ entrance: { ...entrance }, exit: { ...exit } }));
+    }
+
+    /**
+     * Copy a conveyor list so the board never shares it with level data
+     */
+    copyConveyors(conveyors) {
+        return conveyors.map(conveyor => ({ path: conveyor.path.map(cell => ({ ...cell })) }));
+    }
 
     /**
      * Initialize the game board with random emojis
      * Ensures no initial matches exist
      */
     init() {
-        console.log('Initializing board with size:', this.size);
-        console.log('Available emojis:', this.emojis);
-        
         this.grid = [];
-        for (let row = 0; row < this.size; row++) {
+        this.blockers = [];
+        this.jelly = [];
+        this.ingredientsSpawned = 0;
+        this.portals = this.portalLayout ? this.copyPortals(this.portalLayout) : [];
+        this.conveyors = this.conveyorLayout ? this.copyConveyors(this.conveyorLayout) : [];
+        this.spawners = this.spawnerLayout ?
+            this.spawnerLayout.map(spawner => ({ ...spawner })) : this.getDefaultSpawners();
+        for (let row = 0; row < this.rows; row++) {
             this.grid[row] = [];
-            for (let col = 0; col < this.size; col++) {
-                this.grid[row][col] = this.getRandomEmoji(row, col);
+            this.blockers[row] = [];
+            this.jelly[row] = [];
+            for (let col = 0; col < this.cols; col++) {
+                const blocker = this.isPlayable(row, col) && this.blockerLayout ? this.blockerLayout[row][col] : null;
+                this.blockers[row][col] = blocker ? { ...blocker } : null;
+                this.jelly[row][col] = this.isPlayable(row, col) && this.jellyLayout ? this.jellyLayout[row][col] : 0;
+                
+                if (!this.isPlayable(row, col) || this.isBlocked(row, col)) {
+                    this.grid[row][col] = null;
+                } else {
+                    this.grid[row][col] = this.isFixedCell(row, col) ?
+                        this.layout[row][col] : this.getRandomEmoji(row, col);
+                }
             }
         }
         
-        console.log('Grid after initialization:', this.grid);
-        
         // Ensure no initial matches
-        this.removeInitialMatches();
+        this.removeInitialMatches(true);
+        
+        // Ensure the player has enough moves to start with
+        this.ensureOpening();
+    }
+
+    /**
+     * Make sure the starting board meets the level's opening requirements:
+     * at least minMoves valid moves, specialMoves of which make a special
+     * Plants missing moves, and rerolls the random cells if that isn't enough
+     */
+    ensureOpening(maxAttempts = 20) {
+        const { minMoves, specialMoves } = this.opening;
+        const countSpecialMoves = () => this.getPossibleMoves().filter(move => move.createsSpecial).length;
+        
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            for (let i = 0; i < specialMoves && countSpecialMoves() < specialMoves; i++) {
+                this.plantMove(4);
+            }
+            for (let i = 0; i < minMoves && this.getPossibleMoves().length < minMoves; i++) {
+                this.plantMove(3);
+            }
+            
+            if (this.getPossibleMoves().length >= minMoves && countSpecialMoves() >= specialMoves) {
+                return true;
+            }
+            
+            // Start again from fresh random emojis
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    if (this.isRecolorable(row, col)) {
+                        this.grid[row][col] = this.getRandomEmoji(row, col);
+                    }
+                }
+            }
+            this.removeInitialMatches(true);
+        }
         
-        console.log('Grid after removing initial matches:', this.grid);
+        console.warn('Could not build an opening board with', this.opening);
+        return false;
+    }
+
+    /**
+     * Check if a cell's emoji was placed by the level layout
+     */
+    isFixedCell(row, col) {
+        return !!(this.layout && this.layout[row] && this.layout[row][col]);
     }
 
     /**
@@ -49,7 +218,7 @@ class GameBoard {
         let emoji;
         
         do {
-            emoji = this.emojis[Math.floor(Math.random() * this.emojis.length)];
+            emoji = this.pickSpawnEmoji(col);
             attempts++;
             // Only check for matches if we have enough grid initialized
             if (row < 2 && col < 2) {
@@ -60,27 +229,106 @@ class GameBoard {
         return emoji;
     }
 
+    /**
+     * Get the tile at position: an emoji string, a tile object or null
+     */
+    getTile(row, col) {
+        if (!this.isPlayable(row, col)) {
+            return null;
+        }
+        return this.grid[row][col];
+    }
+
     /**
      * Get emoji at position
      */
     getEmoji(row, col) {
-        if (row < 0 || row >= this.size || col < 0 || col >= this.size) {
+        const tile = this.getTile(row, col);
+        return tile && typeof tile === 'object' ? tile.emoji : tile;
+    }
+
+    /**
+     * Check if the tile at a position is an ingredient
+     */
+    isIngredient(row, col) {
+        const tile = this.getTile(row, col);
+        return !!tile && typeof tile === 'object' && !!tile.ingredient;
+    }
+
+    /**
+     * Check if a position holds a timer bomb
+     */
+    isTimerBomb(row, col) {
+        const tile = this.getTile(row, col);
+        return !!tile && typeof tile === 'object' && tile.timer !== undefined;
+    }
+
+    /**
+     * Check if the tile at a position can be part of a match
+     * Striped and bomb specials match by their colour; rainbows and ingredients never match
+     */
+    isMatchable(row, col) {
+        const emoji = this.getEmoji(row, col);
+        return !!emoji && !this.isIngredient(row, col) && !this.isSpecialEmoji(emoji);
+    }
+
+    /**
+     * Get the colour a tile matches as, or null if it can't match
+     */
+    getMatchColor(row, col) {
+        if (!this.grid[row] || !this.isMatchable(row, col)) {
             return null;
         }
-        const emoji = this.grid[row][col];
-        return emoji;
+        return this.getEmoji(row, col);
     }
 
     /**
      * Check if placing an emoji would create a match
      */
     wouldCreateMatch(row, col, emoji) {
+        const { horizontal, vertical } = this.getRunLengths(row, col, emoji);
+        return horizontal >= 3 || vertical >= 3 || this.wouldCreateSquare(row, col, emoji);
+    }
+
+    /**
+     * Check if placing an emoji would create a match that makes a special
+     * (4+ in a line, a line of 3 each way crossing at this cell, or a 2x2 square)
+     */
+    wouldCreateSpecial(row, col, emoji) {
+        const { horizontal, vertical } = this.getRunLengths(row, col, emoji);
+        return horizontal >= 4 || vertical >= 4 || (horizontal >= 3 && vertical >= 3) ||
+            this.wouldCreateSquare(row, col, emoji);
+    }
+
+    /**
+     * Check if placing an emoji would complete a 2x2 square of it
+     */
+    wouldCreateSquare(row, col, emoji) {
+        if (!emoji) return false;
+        
+        for (const [dr, dc] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+            if (this.getMatchColor(row + dr, col) === emoji &&
+                this.getMatchColor(row, col + dc) === emoji &&
+                this.getMatchColor(row + dr, col + dc) === emoji) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Measure the horizontal and vertical runs an emoji would form through a cell
+     */
+    getRunLengths(row, col, emoji) {
+        // Empty and void cells never match
+        if (!emoji) return { horizontal: 0, vertical: 0 };
+        
         // Check horizontal match
         let horizontalCount = 1;
         
         // Check left
         for (let c = col - 1; c >= 0; c--) {
-            if (this.grid[row] && this.grid[row][c] === emoji) {
+            if (this.getMatchColor(row, c) === emoji) {
                 horizontalCount++;
             } else {
                 break;
@@ -88,22 +336,20 @@ class GameBoard {
         }
         
         // Check right
-        for (let c = col + 1; c < this.size; c++) {
-            if (this.grid[row] && this.grid[row][c] === emoji) {
+        for (let c = col + 1; c < this.cols; c++) {
+            if (this.getMatchColor(row, c) === emoji) {
                 horizontalCount++;
             } else {
                 break;
             }
         }
         
-        if (horizontalCount >= 3) return true;
-        
         // Check vertical match
         let verticalCount = 1;
         
         // Check up
         for (let r = row - 1; r >= 0; r--) {
-            if (this.grid[r] && this.grid[r][col] === emoji) {
+            if (this.getMatchColor(r, col) === emoji) {
                 verticalCount++;
             } else {
                 break;
@@ -111,30 +357,33 @@ class GameBoard {
         }
         
         // Check down
-        for (let r = row + 1; r < this.size; r++) {
-            if (this.grid[r] && this.grid[r][col] === emoji) {
+        for (let r = row + 1; r < this.rows; r++) {
+            if (this.getMatchColor(r, col) === emoji) {
                 verticalCount++;
             } else {
                 break;
             }
         }
         
-        return verticalCount >= 3;
+        return { horizontal: horizontalCount, vertical: verticalCount };
     }
 
     /**
      * Remove any initial matches that might exist
+     * keepLayout leaves the level's hand-placed emojis untouched
      */
-    removeInitialMatches() {
+    removeInitialMatches(keepLayout = false) {
         let hasMatches = true;
         let attempts = 0;
         
         while (hasMatches && attempts < 100) {
             hasMatches = false;
             
-            for (let row = 0; row < this.size; row++) {
-                for (let col = 0; col < this.size; col++) {
-                    if (this.wouldCreateMatch(row, col, this.grid[row][col])) {
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    if (!(keepLayout && this.isFixedCell(row, col)) &&
+                        !this.getSpecial(row, col) &&
+                        this.wouldCreateMatch(row, col, this.getMatchColor(row, col))) {
                         this.grid[row][col] = this.getRandomEmoji(row, col);
                         hasMatches = true;
                     }
@@ -149,7 +398,7 @@ class GameBoard {
      * Set emoji at specific position
      */
     setEmoji(row, col, emoji) {
-        if (this.isValidPosition(row, col)) {
+        if (this.isPlayable(row, col)) {
             this.grid[row][col] = emoji;
         }
     }
@@ -158,281 +407,1332 @@ class GameBoard {
      * Check if position is valid
      */
     isValidPosition(row, col) {
-        return row >= 0 && row < this.size && col >= 0 && col < this.size;
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
     }
 
     /**
-     * Swap two emojis on the board
+     * Check if position is on the board and not a void cell of the level mask
      */
-    swapEmojis(pos1, pos2) {
-        if (!this.isValidPosition(pos1.row, pos1.col) || 
-            !this.isValidPosition(pos2.row, pos2.col)) {
-            return false;
+    isPlayable(row, col) {
+        return this.isValidPosition(row, col) && (!this.mask || this.mask[row][col]);
+    }
+
+    /**
+     * Get the blocker at a position, or null
+     */
+    getBlocker(row, col) {
+        if (!this.isPlayable(row, col)) {
+            return null;
         }
+        return this.blockers[row][col];
+    }
 
-        const temp = this.grid[pos1.row][pos1.col];
-        this.grid[pos1.row][pos1.col] = this.grid[pos2.row][pos2.col];
-        this.grid[pos2.row][pos2.col] = temp;
-        
-        return true;
+    /**
+     * Check if a blocker fills the cell (ice, stone, chocolate)
+     */
+    isBlocked(row, col) {
+        const blocker = this.getBlocker(row, col);
+        return !!blocker && this.blockerTypes[blocker.type].occupiesCell;
     }
 
     /**
-     * Check if two positions are adjacent
+     * Check if the tile in a cell is locked in a cage
      */
-    areAdjacent(pos1, pos2) {
-        const rowDiff = Math.abs(pos1.row - pos2.row);
-        const colDiff = Math.abs(pos1.col - pos2.col);
-        
-        return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+    isLocked(row, col) {
+        const blocker = this.getBlocker(row, col);
+        return !!blocker && blocker.type === 'cage';
     }
 
     /**
-     * Apply gravity - make emojis fall down
+     * Check if a cell holds a tile that can be swapped or fall
      */
-    applyGravity() {
-        const movements = [];
-        
-        for (let col = 0; col < this.size; col++) {
-            let writePos = this.size - 1;
-            
-            // Move existing emojis down
-            for (let row = this.size - 1; row >= 0; row--) {
-                if (this.grid[row][col] !== null) {
-                    if (row !== writePos) {
-                        movements.push({
-                            from: { row, col },
-                            to: { row: writePos, col },
-                            emoji: this.grid[row][col]
-                        });
-                        this.grid[writePos][col] = this.grid[row][col];
-                        this.grid[row][col] = null;
-                    }
-                    writePos--;
-                }
-            }
-        }
-        
-        return movements;
+    isMovable(row, col) {
+        return this.isPlayable(row, col) && !this.isBlocked(row, col) && !this.isLocked(row, col);
     }
 
     /**
-     * Fill empty spaces with new random emojis
+     * Check if a cell stops tiles falling through it
      */
-    fillEmpty() {
-        const newEmojis = [];
-        
-        for (let col = 0; col < this.size; col++) {
-            for (let row = 0; row < this.size; row++) {
-                if (this.grid[row][col] === null) {
-                    const newEmoji = this.emojis[Math.floor(Math.random() * this.emojis.length)];
-                    this.grid[row][col] = newEmoji;
-                    newEmojis.push({
-                        row,
-                        col,
-                        emoji: newEmoji
-                    });
+    isFixedObstacle(row, col) {
+        return this.isBlocked(row, col) || this.isLocked(row, col);
+    }
+
+    /**
+     * Count blockers, optionally of one type
+     */
+    countBlockers(type = null) {
+        let count = 0;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const blocker = this.getBlocker(row, col);
+                if (blocker && (!type || blocker.type === type)) {
+                    count++;
                 }
             }
         }
-        
-        return newEmojis;
+        return count;
     }
 
     /**
-     * Remove emojis at specified positions
+     * Get the jelly layers under a position
      */
-    removeEmojis(positions) {
-        console.log('removeEmojis called with positions:', positions);
-        positions.forEach(pos => {
-            if (this.isValidPosition(pos.row, pos.col)) {
-                console.log(`Removing emoji at ${pos.row},${pos.col}: ${this.grid[pos.row][pos.col]}`);
-                this.grid[pos.row][pos.col] = null;
-            }
-        });
-        console.log('Grid after removal:', this.grid);
+    getJelly(row, col) {
+        if (!this.isPlayable(row, col)) {
+            return 0;
+        }
+        return this.jelly[row][col];
     }
 
     /**
-     * Create special emoji at position
+     * Count the jelly layers left on the board
      */
-    createSpecialEmoji(row, col, type) {
-        if (this.isValidPosition(row, col)) {
-            this.grid[row][col] = this.specialEmojis[type];
+    countJelly() {
+        let count = 0;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                count += this.getJelly(row, col);
+            }
         }
+        return count;
     }
 
     /**
-     * Check if emoji is special
+     * Remove one jelly layer under each cleared tile
+     * Returns the number of layers removed
      */
-    isSpecialEmoji(emoji) {
-        return Object.values(this.specialEmojis).includes(emoji);
+    clearJelly(positions) {
+        let cleared = 0;
+        const seen = new Set();
+        positions.forEach(pos => {
+            const key = `${pos.row}-${pos.col}`;
+            if (seen.has(key) || this.getJelly(pos.row, pos.col) === 0) return;
+            seen.add(key);
+            this.jelly[pos.row][pos.col]--;
+            cleared++;
+        });
+        return cleared;
     }
 
     /**
-     * Get special emoji type
+     * Hit blockers touched by a cascade step
+     * matchedPositions hit cages on the matched tiles and ice/chocolate next to them;
+     * matchGroups splits them into the round's separate matches, each of which hits a
+     * neighbouring blocker once, so two matches meeting at the same ice crack it twice.
+     * blastPositions (specials, hammer) hit every blocker they cover once, including stone
+     * Returns cleared blockers and caged positions whose tile must stay on the board
      */
-    getSpecialType(emoji) {
-        for (const [type, specialEmoji] of Object.entries(this.specialEmojis)) {
-            if (specialEmoji === emoji) {
-                return type;
+    damageBlockers(matchedPositions = [], blastPositions = [], matchGroups = [matchedPositions]) {
+        const hitCells = new Map();
+        const addHit = (row, col, fromBlast) => {
+            const blocker = this.getBlocker(row, col);
+            if (!blocker) return;
+            if (!fromBlast && !this.blockerTypes[blocker.type].breaksFromMatches) return;
+            const key = `${row}-${col}`;
+            const cell = hitCells.get(key) || { row, col, hits: 0 };
+            cell.hits++;
+            hitCells.set(key, cell);
+        };
+        
+        const matchedKeys = new Set(matchedPositions.map(pos => `${pos.row}-${pos.col}`));
+        for (const pos of matchedPositions) {
+            if (this.isLocked(pos.row, pos.col) && !hitCells.has(`${pos.row}-${pos.col}`)) {
+                addHit(pos.row, pos.col, false);
             }
         }
-        return null;
+        
+        // Adjacent ice and chocolate crack from nearby matches, once per match
+        for (const group of matchGroups) {
+            const touched = new Map();
+            for (const pos of group) {
+                for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    const row = pos.row + dr;
+                    const col = pos.col + dc;
+                    if (!matchedKeys.has(`${row}-${col}`) && this.isBlocked(row, col)) {
+                        touched.set(`${row}-${col}`, { row, col });
+                    }
+                }
+            }
+            touched.forEach(({ row, col }) => addHit(row, col, false));
+        }
+        
+        const blasted = new Map(blastPositions.map(pos => [`${pos.row}-${pos.col}`, pos]));
+        blasted.forEach(({ row, col }) => addHit(row, col, true));
+        
+        const cleared = [];
+        const damaged = [];
+        const keptTiles = [];
+        
+        hitCells.forEach(({ row, col, hits: taken }) => {
+            const blocker = this.blockers[row][col];
+            if (blocker.type === 'cage') {
+                // The cage absorbs the hit and the tile stays in place
+                keptTiles.push({ row, col });
+            }
+            
+            const hits = blocker.hits - taken;
+            if (hits > 0) {
+                this.blockers[row][col] = { ...blocker, hits };
+                damaged.push({ row, col, type: blocker.type, hits });
+            } else {
+                this.blockers[row][col] = null;
+                cleared.push({ row, col, type: blocker.type });
+            }
+        });
+        
+        return { cleared, damaged, keptTiles };
     }
 
     /**
-     * Get positions affected by special emoji
+     * Grow chocolate into one neighbouring tile
+     * Called after a move in which no chocolate was cleared
      */
-    getSpecialEmojiEffect(row, col, type) {
-        const positions = [];
+    spreadChocolate() {
+        const targets = [];
         
-        switch (type) {
-            case 'striped':
-                // Clear entire row or column (randomly choose)
-                if (Math.random() < 0.5) {
-                    // Clear row
-                    for (let c = 0; c < this.size; c++) {
-                        positions.push({ row, col: c });
-                    }
-                } else {
-                    // Clear column
-                    for (let r = 0; r < this.size; r++) {
-                        positions.push({ row: r, col });
-                    }
-                }
-                break;
-                
-            case 'bomb':
-                // Clear 3x3 area
-                for (let r = row - 1; r <= row + 1; r++) {
-                    for (let c = col - 1; c <= col + 1; c++) {
-                        if (this.isValidPosition(r, c)) {
-                            positions.push({ row: r, col: c });
-                        }
-                    }
-                }
-                break;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const blocker = this.getBlocker(row, col);
+                if (!blocker || blocker.type !== 'chocolate') continue;
                 
-            case 'rainbow':
-                // Clear all emojis of the same type (pick random type for now)
-                const availableEmojis = this.emojis.filter(emoji => {
-                    // Find emojis that exist on the board
-                    for (let r = 0; r < this.size; r++) {
-                        for (let c = 0; c < this.size; c++) {
-                            if (this.grid[r][c] === emoji) {
-                                return true;
-                            }
-                        }
-                    }
-                    return false;
-                });
-                
-                if (availableEmojis.length > 0) {
-                    const targetEmoji = availableEmojis[Math.floor(Math.random() * availableEmojis.length)];
-                    for (let r = 0; r < this.size; r++) {
-                        for (let c = 0; c < this.size; c++) {
-                            if (this.grid[r][c] === targetEmoji) {
-                                positions.push({ row: r, col: c });
-                            }
-                        }
+                for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    const target = { row: row + dr, col: col + dc };
+                    if (this.isMovable(target.row, target.col) &&
+                        this.isMatchable(target.row, target.col) &&
+                        !this.getSpecial(target.row, target.col) &&
+                        !this.isTimerBomb(target.row, target.col)) {
+                        targets.push(target);
                     }
                 }
-                break;
+            }
         }
         
-        return positions;
+        const target = this.rng.pick(targets);
+        if (!target) return null;
+        
+        this.grid[target.row][target.col] = null;
+        this.blockers[target.row][target.col] = { type: 'chocolate', hits: this.blockerTypes.chocolate.maxHits };
+        return target;
     }
 
     /**
-     * Shuffle the board (for shuffle power-up)
+     * Carry the tiles on every conveyor belt one cell along its path;
+     * the tile on the last cell goes round to the first. Blockers ride along, jelly stays put
+     * Returns { from, to, emoji } for every tile that moved
      */
-    shuffle() {
-        const allEmojis = [];
-        
-        // Collect all emojis
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                allEmojis.push(this.grid[row][col]);
-            }
-        }
+    shiftConveyors() {
+        const movements = [];
         
-        // Shuffle array
-        for (let i = allEmojis.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [allEmojis[i], allEmojis[j]] = [allEmojis[j], allEmojis[i]];
+        for (const { path } of this.conveyors) {
+            const tiles = path.map(cell => this.grid[cell.row][cell.col]);
+            const blockers = path.map(cell => this.blockers[cell.row][cell.col]);
+            
+            path.forEach((cell, i) => {
+                const previous = (i - 1 + path.length) % path.length;
+                this.grid[cell.row][cell.col] = tiles[previous];
+                this.blockers[cell.row][cell.col] = blockers[previous];
+                if (tiles[previous] !== null) {
+                    movements.push({ from: { ...path[previous] }, to: { ...cell }, emoji: tiles[previous] });
+                }
+            });
         }
         
-        // Redistribute emojis
-        let index = 0;
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                this.grid[row][col] = allEmojis[index++];
+        return movements;
+    }
+
+    /**
+     * Get the direction a conveyor carries tiles out of (row, col), or null off the belts
+     */
+    getConveyorDirection(row, col) {
+        for (const { path } of this.conveyors) {
+            const index = path.findIndex(cell => cell.row === row && cell.col === col);
+            if (index === -1) continue;
+            
+            // The end of an open belt points on the way the belt was going
+            let next = path[(index + 1) % path.length];
+            if (Math.abs(next.row - row) + Math.abs(next.col - col) !== 1) {
+                const previous = path[index - 1];
+                next = { row: row + row - previous.row, col: col + col - previous.col };
             }
+            if (next.row > row) return 'down';
+            if (next.row < row) return 'up';
+            return next.col > col ? 'right' : 'left';
+        }
+        return null;
+    }
+
+    /**
+     * Swap two emojis on the board
+     */
+    swapEmojis(pos1, pos2) {
+        if (!this.isMovable(pos1.row, pos1.col) || 
+            !this.isMovable(pos2.row, pos2.col)) {
+            return false;
         }
+
+        const temp = this.grid[pos1.row][pos1.col];
+        this.grid[pos1.row][pos1.col] = this.grid[pos2.row][pos2.col];
+        this.grid[pos2.row][pos2.col] = temp;
         
-        // Ensure no matches after shuffle
-        this.removeInitialMatches();
+        return true;
     }
 
     /**
-     * Get a copy of the current board state
+     * Check if two positions are adjacent
      */
-    getState() {
-        return this.grid.map(row => [...row]);
+    areAdjacent(pos1, pos2) {
+        const rowDiff = Math.abs(pos1.row - pos2.row);
+        const colDiff = Math.abs(pos1.col - pos2.col);
+        
+        return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
     }
 
     /**
-     * Restore board state
+     * Get the direction tiles fall in at a cell
      */
-    setState(state) {
-        this.grid = state.map(row => [...row]);
+    getGravity(row, col) {
+        return (this.gravityLayout && this.gravityLayout[row] && this.gravityLayout[row][col]) || 'down';
     }
 
     /**
-     * Get all possible moves
+     * Get the portal whose entrance is at (row, col), or null
      */
-    getPossibleMoves() {
-        const moves = [];
-        
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                // Check right swap
-                if (col < this.size - 1) {
-                    const pos1 = { row, col };
-                    const pos2 = { row, col: col + 1 };
-                    
-                    this.swapEmojis(pos1, pos2);
-                    if (this.hasMatches()) {
-                        moves.push({ pos1, pos2 });
-                    }
-                    this.swapEmojis(pos1, pos2); // Swap back
-                }
-                
-                // Check down swap
-                if (row < this.size - 1) {
-                    const pos1 = { row, col };
-                    const pos2 = { row: row + 1, col };
-                    
-                    this.swapEmojis(pos1, pos2);
-                    if (this.hasMatches()) {
-                        moves.push({ pos1, pos2 });
-                    }
-                    this.swapEmojis(pos1, pos2); // Swap back
-                }
-            }
+    getPortal(row, col) {
+        return this.portals.find(portal => portal.entrance.row === row && portal.entrance.col === col) || null;
+    }
+
+    /**
+     * Get the portal whose exit is at (row, col), or null
+     */
+    getPortalByExit(row, col) {
+        return this.portals.find(portal => portal.exit.row === row && portal.exit.col === col) || null;
+    }
+
+    /**
+     * Get the cell a tile at (row, col) falls into, or null at the end of its chain
+     * Void cells are skipped, so tiles fall straight past them; a portal entrance
+     * drops its tile into the linked exit instead
+     */
+    getGravityTarget(row, col) {
+        const portal = this.getPortal(row, col);
+        if (portal) {
+            return { ...portal.exit };
+        }
+        
+        const step = this.gravityDirections[this.getGravity(row, col)];
+        let target = { row: row + step.row, col: col + step.col };
+        
+        while (this.isValidPosition(target.row, target.col) && !this.isPlayable(target.row, target.col)) {
+            target = { row: target.row + step.row, col: target.col + step.col };
+        }
+        return this.isValidPosition(target.row, target.col) ? target : null;
+    }
+
+    /**
+     * Put a spawner at the head of every gravity chain: each playable cell no other cell falls into,
+     * on the edge tiles fall in from
+     */
+    getDefaultSpawners() {
+        const fed = new Set();
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const target = this.isPlayable(row, col) ? this.getGravityTarget(row, col) : null;
+                if (target) {
+                    fed.add(`${target.row},${target.col}`);
+                }
+            }
+        }
+        
+        const spawners = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isPlayable(row, col) && !fed.has(`${row},${col}`)) {
+                    spawners.push({ row, col, edge: this.gravityDirections[this.getGravity(row, col)].edge });
+                }
+            }
+        }
+        return spawners;
+    }
+
+    /**
+     * Get the spawner at a cell, or null
+     */
+    getSpawner(row, col) {
+        return this.spawners.find(spawner => spawner.row === row && spawner.col === col) || null;
+    }
+
+    /**
+     * Get the cells whose tiles fall straight into (row, col)
+     */
+    getGravityFeeders(row, col) {
+        const feeders = [];
+        for (const step of Object.values(this.gravityDirections)) {
+            let cell = { row: row - step.row, col: col - step.col };
+            while (this.isValidPosition(cell.row, cell.col) && !this.isPlayable(cell.row, cell.col)) {
+                cell = { row: cell.row - step.row, col: cell.col - step.col };
+            }
+            if (!this.isValidPosition(cell.row, cell.col)) continue;
+            
+            const target = this.getGravityTarget(cell.row, cell.col);
+            if (target && target.row === row && target.col === col) {
+                feeders.push(cell);
+            }
+        }
+        
+        const portal = this.getPortalByExit(row, col);
+        if (portal) {
+            feeders.push({ ...portal.entrance });
+        }
+        return feeders;
+    }
+
+    /**
+     * Check if an empty cell can still be filled straight along the gravity map:
+     * somewhere upstream, past empty cells only, there is a tile or a spawner
+     */
+    hasStraightSource(row, col) {
+        const seen = new Set();
+        const queue = [{ row, col }];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            const key = `${cell.row},${cell.col}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            
+            if (this.getSpawner(cell.row, cell.col)) return true;
+            
+            for (const feeder of this.getGravityFeeders(cell.row, cell.col)) {
+                if (!this.isMovable(feeder.row, feeder.col)) continue;
+                if (this.grid[feeder.row][feeder.col] !== null) return true;
+                queue.push(feeder);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if the tile at (row, col) can fall straight on
+     */
+    canFallStraight(row, col) {
+        const target = this.getGravityTarget(row, col);
+        return !!target && this.isMovable(target.row, target.col) && this.grid[target.row][target.col] === null;
+    }
+
+    /**
+     * Find a tile that can slide diagonally into an empty cell nothing can reach straight,
+     * such as a cell under a stone. Returns { from, to } or null
+     */
+    findDiagonalSlide() {
+        for (let row = this.rows - 1; row >= 0; row--) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!this.isMovable(row, col) || this.grid[row][col] !== null) continue;
+                if (this.hasStraightSource(row, col)) continue;
+                
+                // The donor sits one step upstream and one step to either side
+                const step = this.gravityDirections[this.getGravity(row, col)];
+                for (const side of [-1, 1]) {
+                    const from = { row: row - step.row + side * step.col, col: col - step.col + side * step.row };
+                    if (!this.isMovable(from.row, from.col) || this.grid[from.row][from.col] === null) continue;
+                    if (this.canFallStraight(from.row, from.col)) continue;
+                    return { from, to: { row, col } };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move tiles along the gravity map until none can move
+     * Tiles fall straight first; once they settle, a tile may slide diagonally
+     * into a cell that can't be filled straight, and everything settles again.
+     * origins is a rows x cols array of { path } trackers; each tile's tracker
+     * travels with it and records every cell it passes through.
+     * Blockers and caged tiles hold up everything behind them
+     */
+    settleTiles(origins) {
+        const moveTile = (from, to) => {
+            this.grid[to.row][to.col] = this.grid[from.row][from.col];
+            this.grid[from.row][from.col] = null;
+            origins[to.row][to.col] = origins[from.row][from.col];
+            origins[from.row][from.col] = null;
+            if (origins[to.row][to.col]) {
+                origins[to.row][to.col].path.push({ row: to.row, col: to.col });
+            }
+        };
+        
+        // A loop in the gravity map could move tiles forever, so cap the passes
+        const maxPasses = this.rows * this.cols;
+        
+        for (let slide = 0; slide < maxPasses; slide++) {
+            for (let pass = 0; pass < maxPasses; pass++) {
+                let moved = false;
+                
+                for (let row = 0; row < this.rows; row++) {
+                    for (let col = 0; col < this.cols; col++) {
+                        if (this.grid[row][col] === null || !this.isMovable(row, col)) continue;
+                        if (!this.canFallStraight(row, col)) continue;
+                        
+                        moveTile({ row, col }, this.getGravityTarget(row, col));
+                        moved = true;
+                    }
+                }
+                
+                if (!moved) break;
+            }
+            
+            const diagonal = this.findDiagonalSlide();
+            if (!diagonal) break;
+            moveTile(diagonal.from, diagonal.to);
+        }
+    }
+
+    /**
+     * Apply gravity - move emojis along each cell's gravity direction
+     * Returns { from, to, emoji, direction, path } for every tile that moved;
+     * path lists each cell passed through, including diagonal slides
+     */
+    applyGravity() {
+        const origins = this.grid.map((cells, row) => cells.map((tile, col) =>
+            tile === null ? null : { path: [{ row, col }] }));
+        this.settleTiles(origins);
+        
+        const movements = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const origin = origins[row][col];
+                if (origin && origin.path.length > 1) {
+                    const from = origin.path[0];
+                    movements.push({
+                        from,
+                        to: { row, col },
+                        emoji: this.grid[row][col],
+                        direction: this.getGravity(from.row, from.col),
+                        path: origin.path
+                    });
+                }
+            }
+        }
+        
+        return movements;
+    }
+
+    /**
+     * Fill empty spaces with new random emojis
+     * New emojis enter through the spawners and settle along the gravity map,
+     * so cells no spawner can reach stay empty unless a tile slides in diagonally
+     */
+    fillEmpty() {
+        const origins = this.grid.map(cells => cells.map(() => null));
+        
+        // Keep feeding the spawners until every one of them is full
+        let spawned = true;
+        while (spawned) {
+            spawned = false;
+            for (const spawner of this.spawners) {
+                const { row, col } = spawner;
+                if (!this.isMovable(row, col) || this.grid[row][col] !== null) continue;
+                
+                this.grid[row][col] = this.shouldSpawnIngredient(col) ?
+                    this.createIngredient() : this.createSpawnTile(col);
+                origins[row][col] = { edge: spawner.edge, path: [{ row, col }] };
+                spawned = true;
+            }
+            this.settleTiles(origins);
+        }
+        
+        const newEmojis = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (origins[row][col]) {
+                    newEmojis.push({
+                        row,
+                        col,
+                        emoji: this.grid[row][col],
+                        edge: origins[row][col].edge,
+                        path: origins[row][col].path
+                    });
+                }
+            }
+        }
+        
+        return newEmojis;
+    }
+
+    /**
+     * Pick an emoji for a column from the level's spawn weights
+     */
+    pickSpawnEmoji(col) {
+        const overrides = this.spawnTable.columns[col] || {};
+        const weights = this.emojis.map(emoji => {
+            if (overrides[emoji] !== undefined) return overrides[emoji];
+            if (this.spawnTable.weights[emoji] !== undefined) return this.spawnTable.weights[emoji];
+            return 1;
+        });
+        return this.rng.pickWeighted(this.emojis, weights);
+    }
+
+    /**
+     * Create a tile dropping in from a spawner
+     * Now and then it arrives as a special, if the level allows it
+     */
+    createSpawnTile(col) {
+        const emoji = this.pickSpawnEmoji(col);
+        
+        if (this.shouldSpawnTimerBomb()) {
+            return { emoji, timer: this.timerBombSettings.countdown };
+        }
+        
+        for (const [type, chance] of Object.entries(this.spawnTable.specials)) {
+            if (chance > 0 && this.rng.chance(chance)) {
+                const orientation = this.rng.chance(0.5) ? 'horizontal' : 'vertical';
+                return this.createSpecialTile(type, { emoji, orientation });
+            }
+        }
+        return emoji;
+    }
+
+    /**
+     * Check if the next refilled cell should get a timer bomb
+     */
+    shouldSpawnTimerBomb() {
+        const settings = this.timerBombSettings;
+        if (!settings || this.getTimerBombs().length >= settings.maxOnBoard) {
+            return false;
+        }
+        return this.rng.chance(settings.spawnChance);
+    }
+
+    /**
+     * Get the positions and counters of every timer bomb on the board
+     */
+    getTimerBombs() {
+        const bombs = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isTimerBomb(row, col)) {
+                    bombs.push({ row, col, timer: this.grid[row][col].timer });
+                }
+            }
+        }
+        return bombs;
+    }
+
+    /**
+     * Count every timer bomb down by one
+     * Tiles are replaced rather than changed, so saved undo states keep their counters
+     * Returns the positions of bombs that reached zero
+     */
+    tickTimerBombs() {
+        const exploded = [];
+        for (const { row, col, timer } of this.getTimerBombs()) {
+            this.grid[row][col] = { ...this.grid[row][col], timer: timer - 1 };
+            if (timer - 1 <= 0) {
+                exploded.push({ row, col });
+            }
+        }
+        return exploded;
+    }
+
+    /**
+     * Check if the next refilled cell should get an ingredient
+     * Ingredients only drop into columns that have an exit, so every one can be collected.
+     * One moved out of those columns is stranded; it stops counting against total and
+     * maxOnBoard, so another drops in to replace it
+     */
+    shouldSpawnIngredient(col) {
+        const settings = this.ingredientSettings;
+        if (!settings || !this.isExit(this.rows - 1, col)) {
+            return false;
+        }
+        const stranded = this.countStrandedIngredients();
+        if (this.ingredientsSpawned - stranded >= settings.total) {
+            return false;
+        }
+        if (this.countIngredients() - stranded >= settings.maxOnBoard) {
+            return false;
+        }
+        return this.rng.chance(settings.spawnChance);
+    }
+
+    /**
+     * Create a new ingredient tile
+     */
+    createIngredient() {
+        this.ingredientsSpawned++;
+        return { emoji: this.rng.pick(this.ingredientSettings.emojis), ingredient: true };
+    }
+
+    /**
+     * Count ingredients currently on the board
+     */
+    countIngredients() {
+        let count = 0;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isIngredient(row, col)) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Count ingredients in columns without an exit, which can never leave the board
+     */
+    countStrandedIngredients() {
+        let count = 0;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isIngredient(row, col) && !this.isExit(this.rows - 1, col)) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Check if a cell is an ingredient exit (bottom row only)
+     */
+    isExit(row, col) {
+        if (!this.ingredientSettings || row !== this.rows - 1 || !this.isPlayable(row, col)) {
+            return false;
+        }
+        const exits = this.ingredientSettings.exits;
+        return !exits || exits.includes(col);
+    }
+
+    /**
+     * Take ingredients that are sitting on an exit off the board
+     * Returns the collected positions; call applyGravity() and fillEmpty() afterwards
+     */
+    collectIngredients() {
+        const collected = [];
+        for (let col = 0; col < this.cols; col++) {
+            const row = this.rows - 1;
+            if (this.isExit(row, col) && this.isIngredient(row, col)) {
+                collected.push({ row, col, emoji: this.getEmoji(row, col) });
+                this.grid[row][col] = null;
+            }
+        }
+        return collected;
+    }
+
+    /**
+     * Remove emojis at specified positions
+     * Ingredients can't be cleared; they only leave through an exit
+     */
+    removeEmojis(positions) {
+        positions.forEach(pos => {
+            if (this.isPlayable(pos.row, pos.col) && !this.isIngredient(pos.row, pos.col)) {
+                this.grid[pos.row][pos.col] = null;
+            }
+        });
+    }
+
+    /**
+     * Create special emoji at position
+     * Striped and bomb specials keep the matched emoji as their colour;
+     * striped ones also keep the axis they clear along. Rainbows have no colour.
+     */
+    createSpecialEmoji(row, col, type, options = {}) {
+        if (this.isPlayable(row, col)) {
+            this.grid[row][col] = this.createSpecialTile(type, options);
+        }
+    }
+
+    /**
+     * Create a special tile without placing it
+     */
+    createSpecialTile(type, { emoji = null, orientation = 'horizontal' } = {}) {
+        if (type === 'striped') {
+            return { emoji, special: 'striped', orientation };
+        }
+        if (type === 'bomb' || type === 'fluttery') {
+            return { emoji, special: type };
+        }
+        return this.specialEmojis[type];
+    }
+
+    /**
+     * Get the special type of the tile at a position, or null
+     */
+    getSpecial(row, col) {
+        const tile = this.getTile(row, col);
+        if (tile && typeof tile === 'object') {
+            return tile.special || null;
+        }
+        return this.getSpecialType(tile);
+    }
+
+    /**
+     * Check if emoji is special
+     */
+    isSpecialEmoji(emoji) {
+        return Object.values(this.specialEmojis).includes(emoji);
+    }
+
+    /**
+     * Get special emoji type
+     */
+    getSpecialType(emoji) {
+        for (const [type, specialEmoji] of Object.entries(this.specialEmojis)) {
+            if (specialEmoji === emoji) {
+                return type;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get positions affected by special emoji
+     * details collects extra facts about the blast; a fluttery records the cell it flies to as details.target,
+     * and a rainbow the colour it clears as details.emoji and that colour's tiles as details.targets
+     */
+    getSpecialEmojiEffect(row, col, type, details = {}) {
+        const positions = [];
+        
+        switch (type) {
+            case 'striped': {
+                // Clear the row or column the stripe points along
+                const tile = this.getTile(row, col);
+                if (!tile || tile.orientation !== 'vertical') {
+                    // Clear row
+                    for (let c = 0; c < this.cols; c++) {
+                        if (this.isPlayable(row, c)) {
+                            positions.push({ row, col: c });
+                        }
+                    }
+                } else {
+                    // Clear column
+                    for (let r = 0; r < this.rows; r++) {
+                        if (this.isPlayable(r, col)) {
+                            positions.push({ row: r, col });
+                        }
+                    }
+                }
+                break;
+            }
+                
+            case 'bomb':
+                // Clear 3x3 area
+                for (let r = row - 1; r <= row + 1; r++) {
+                    for (let c = col - 1; c <= col + 1; c++) {
+                        if (this.isPlayable(r, c)) {
+                            positions.push({ row: r, col: c });
+                        }
+                    }
+                }
+                break;
+                
+            case 'rainbow': {
+                // Swapped rainbows go off as combos; one set off by a blast or the hammer
+                // clears the colour there is most of
+                const emoji = details.emoji || this.getMostCommonColor();
+                if (emoji) {
+                    details.emoji = emoji;
+                    details.targets = this.getColorPositions(emoji);
+                    positions.push(...details.targets);
+                }
+                break;
+            }
+                
+            case 'fluttery': {
+                // Clear its square, then fly off and clear the most useful tile elsewhere
+                const square = this.getSquarePositions(row, col);
+                const [target] = this.getFlutteryTargets(1, square);
+                positions.push(...square);
+                if (target) {
+                    positions.push(target);
+                    details.target = target;
+                }
+                break;
+            }
+        }
+        
+        return positions;
+    }
+
+    /**
+     * Get the playable cells of the 2x2 square whose top-left corner is row/col,
+     * moved back inside the board along the bottom and right edges
+     */
+    getSquarePositions(row, col) {
+        const top = Math.max(0, Math.min(row, this.rows - 2));
+        const left = Math.max(0, Math.min(col, this.cols - 2));
+        const positions = [];
+        for (let r = top; r <= top + 1; r++) {
+            for (let c = left; c <= left + 1; c++) {
+                if (this.isPlayable(r, c)) {
+                    positions.push({ row: r, col: c });
+                }
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Set the unfinished objectives flutteries aim for
+     * goals is { emojis, jelly, blockers, ingredients } from ObjectiveTracker.getTargets()
+     */
+    setTargetGoals(goals) {
+        this.targetGoals = {
+            emojis: [...goals.emojis],
+            jelly: goals.jelly,
+            blockers: [...goals.blockers],
+            ingredients: goals.ingredients
+        };
+    }
+
+    /**
+     * Pick up to count different cells for flutteries to fly to, best first
+     * Cells in exclude are already being cleared; ties are broken at random
+     */
+    getFlutteryTargets(count, exclude = []) {
+        const taken = new Set(exclude.map(pos => `${pos.row}-${pos.col}`));
+        const candidates = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const priority = this.getTargetPriority(row, col);
+                if (priority > 0 && !taken.has(`${row}-${col}`)) {
+                    candidates.push({ row, col, priority, tieBreak: this.rng.next() });
+                }
+            }
+        }
+        
+        candidates.sort((a, b) => b.priority - a.priority || a.tieBreak - b.tieBreak);
+        return candidates.slice(0, count).map(({ row, col }) => ({ row, col }));
+    }
+
+    /**
+     * Score how much clearing a cell helps the unfinished objectives, 0 if there's nothing to hit
+     * Wanted blockers beat jelly (thicker first), which beats wanted emojis and
+     * clearing the way under an ingredient; any other tile is a last resort
+     */
+    getTargetPriority(row, col) {
+        if (!this.isPlayable(row, col) || this.isIngredient(row, col)) return 0;
+        
+        const goals = this.targetGoals;
+        const blocker = this.getBlocker(row, col);
+        if (blocker && goals.blockers.some(type => !type || type === blocker.type)) {
+            return 6;
+        }
+        
+        const tile = this.getTile(row, col);
+        if (tile === null) return 0;
+        if (goals.jelly && this.getJelly(row, col) > 0 && !this.isBlocked(row, col)) {
+            return 3 + this.getJelly(row, col);
+        }
+        if (goals.emojis.includes(this.getEmoji(row, col))) {
+            return 3;
+        }
+        if (goals.ingredients && this.getGravityFeeders(row, col).some(pos => this.isIngredient(pos.row, pos.col))) {
+            return 2;
+        }
+        return this.isBlocked(row, col) ? 0 : 1;
+    }
+
+    /**
+     * Get the combo set off by swapping two tiles, or null
+     * Two specials combine with each other, and a rainbow combines with any plain emoji
+     */
+    getComboType(pos1, pos2) {
+        const key = [pos1, pos2].map(pos => {
+            const special = this.getSpecial(pos.row, pos.col);
+            if (special) return special;
+            return this.isMatchable(pos.row, pos.col) ? 'normal' : 'none';
+        }).sort().join('+');
+        
+        return this.specialCombos[key] || null;
+    }
+
+    /**
+     * Get positions cleared by a special combo centred on row/col
+     * emoji is the colour a rainbow combo targets
+     * details passes in the orientation of a striped tile in the swap, and
+     * combos record the cells they aim at as details.targets: where flutteries fly to,
+     * or the tiles of the colour a rainbow swapped with an emoji or a bomb clears
+     */
+    getComboEffect(row, col, type, emoji = null, details = {}) {
+        const positions = [];
+        
+        switch (type) {
+            case 'stripedStriped':
+                // Clear a cross through the swap
+                positions.push(...this.getRowPositions(row), ...this.getColumnPositions(col));
+                break;
+                
+            case 'stripedBomb':
+                // Clear three rows and three columns
+                for (let offset = -1; offset <= 1; offset++) {
+                    positions.push(...this.getRowPositions(row + offset), ...this.getColumnPositions(col + offset));
+                }
+                break;
+                
+            case 'bombBomb':
+                // Clear a 5x5 area
+                positions.push(...this.getAreaPositions(row, col, 2));
+                break;
+                
+            case 'rainbowNormal':
+                details.targets = this.getColorPositions(emoji);
+                positions.push(...details.targets);
+                break;
+                
+            case 'rainbowStriped':
+                // Every tile of the colour is already striped (see stripeColor) and fires along its axis
+                for (const pos of this.getColorPositions(emoji)) {
+                    positions.push(pos, ...this.getSpecialEmojiEffect(pos.row, pos.col, 'striped'));
+                }
+                break;
+                
+            case 'rainbowBomb':
+                // Every tile of the colour explodes in a 3x3 area
+                details.targets = this.getColorPositions(emoji);
+                for (const target of details.targets) {
+                    positions.push(...this.getAreaPositions(target.row, target.col, 1));
+                }
+                break;
+                
+            case 'rainbowRainbow':
+                // Clear the whole board
+                for (let r = 0; r < this.rows; r++) {
+                    positions.push(...this.getRowPositions(r));
+                }
+                break;
+                
+            case 'flutteryFluttery':
+                // Clear the square and send three flutteries out
+                positions.push(...this.getSquarePositions(row, col));
+                details.targets = this.getFlutteryTargets(3, positions);
+                positions.push(...details.targets);
+                break;
+                
+            case 'flutteryStriped':
+            case 'flutteryBomb': {
+                // The fluttery carries the other special to its target and sets it off there
+                positions.push(...this.getSquarePositions(row, col));
+                details.targets = this.getFlutteryTargets(1, positions);
+                for (const target of details.targets) {
+                    if (type === 'flutteryBomb') {
+                        positions.push(...this.getAreaPositions(target.row, target.col, 1));
+                    } else if (details.orientation === 'vertical') {
+                        positions.push(...this.getColumnPositions(target.col));
+                    } else {
+                        positions.push(...this.getRowPositions(target.row));
+                    }
+                }
+                break;
+            }
+                
+            case 'rainbowFluttery':
+                // Clear the colour, then send three flutteries after whatever is left
+                positions.push(...this.getColorPositions(emoji));
+                details.targets = this.getFlutteryTargets(3, [{ row, col }, ...positions]);
+                positions.push(...details.targets);
+                break;
+        }
+        
+        return positions;
+    }
+
+    /**
+     * Turn every plain tile of a colour into a striped tile with a random orientation
+     * Returns the converted positions
+     */
+    stripeColor(emoji) {
+        const striped = [];
+        for (const pos of this.getColorPositions(emoji)) {
+            if (this.getSpecial(pos.row, pos.col)) continue;
+            
+            const orientation = this.rng.chance(0.5) ? 'horizontal' : 'vertical';
+            this.createSpecialEmoji(pos.row, pos.col, 'striped', { emoji, orientation });
+            striped.push({ ...pos, orientation });
+        }
+        return striped;
+    }
+
+    /**
+     * Get the playable positions of a row
+     */
+    getRowPositions(row) {
+        const positions = [];
+        for (let col = 0; col < this.cols; col++) {
+            if (this.isPlayable(row, col)) {
+                positions.push({ row, col });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Get the playable positions of a column
+     */
+    getColumnPositions(col) {
+        const positions = [];
+        for (let row = 0; row < this.rows; row++) {
+            if (this.isPlayable(row, col)) {
+                positions.push({ row, col });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Get the playable positions of a square area around row/col
+     */
+    getAreaPositions(row, col, radius) {
+        const positions = [];
+        for (let r = row - radius; r <= row + radius; r++) {
+            for (let c = col - radius; c <= col + radius; c++) {
+                if (this.isPlayable(r, c)) {
+                    positions.push({ row: r, col: c });
+                }
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Get the colour with the most tiles on the board, or null if there are none
+     * Ties go to the colour listed first in the palette
+     */
+    getMostCommonColor() {
+        let best = null;
+        let bestCount = 0;
+        for (const emoji of this.emojis) {
+            const count = this.getColorPositions(emoji).length;
+            if (count > bestCount) {
+                best = emoji;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get the positions of every tile of a colour, including coloured specials
+     */
+    getColorPositions(emoji) {
+        const positions = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (emoji && this.getEmoji(row, col) === emoji && !this.isIngredient(row, col)) {
+                    positions.push({ row, col });
+                }
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Shuffle the board (for shuffle power-up and dead boards)
+     * Blockers, caged tiles, ingredients and specials stay where they are.
+     * Keeps reshuffling until at least one move exists; returns false if none could be made
+     */
+    shuffle(maxAttempts = 100) {
+        const allEmojis = [];
+        const cells = [];
+        
+        // Collect all plain emojis from movable cells
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isShuffleable(row, col)) {
+                    allEmojis.push(this.grid[row][col]);
+                    cells.push({ row, col });
+                }
+            }
+        }
+        
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            // Shuffle array
+            for (let i = allEmojis.length - 1; i > 0; i--) {
+                const j = this.rng.nextInt(i + 1);
+                [allEmojis[i], allEmojis[j]] = [allEmojis[j], allEmojis[i]];
+            }
+            
+            // Redistribute emojis
+            cells.forEach((cell, index) => {
+                this.grid[cell.row][cell.col] = allEmojis[index];
+            });
+            
+            // Ensure no matches after shuffle
+            this.removeInitialMatches();
+            
+            if (this.getPossibleMoves().length > 0) {
+                return true;
+            }
+        }
+        
+        console.warn(`No move after ${maxAttempts} shuffles, placing one`);
+        return this.plantMove(3);
+    }
+
+    /**
+     * Check if a cell holds a plain emoji that a shuffle may move or recolour
+     * Timer bombs stay put so a shuffle can't reset or hide them
+     */
+    isShuffleable(row, col) {
+        return this.isMovable(row, col) && this.grid[row][col] !== null &&
+            !this.isIngredient(row, col) && !this.getSpecial(row, col) && !this.isTimerBomb(row, col);
+    }
+
+    /**
+     * Recolour a few plain tiles so that one swap makes a match of `length` (3 or 4)
+     * Used to unlock dead boards and to seed opening moves; returns false if no spot fits
+     */
+    plantMove(length = 3) {
+        const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+        // Tiles lined up with the swapped-in tile, as offsets along the line
+        const offsets = length >= 4 ? [-1, 1, 2] : [1, 2];
+        
+        // Try spots in random order so planted moves don't all end up in one corner
+        const spots = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isRecolorable(row, col)) {
+                    spots.push({ row, col });
+                }
+            }
+        }
+        for (let i = spots.length - 1; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [spots[i], spots[j]] = [spots[j], spots[i]];
+        }
+        
+        for (const { row, col } of spots) {
+            // The tile at `from` is swapped into row/col, across the line it completes
+            for (const [dr, dc] of directions) {
+                const from = { row: row + dr, col: col + dc };
+                const [lr, lc] = [dc, dr];
+                const cells = [from, ...offsets.map(offset => ({ row: row + offset * lr, col: col + offset * lc }))];
+                if (!cells.every(cell => this.isRecolorable(cell.row, cell.col))) continue;
+                
+                const previous = cells.map(cell => this.grid[cell.row][cell.col]);
+                for (const emoji of this.emojis) {
+                    if (emoji === this.grid[row][col]) continue;
+                    
+                    cells.forEach(cell => {
+                        this.grid[cell.row][cell.col] = emoji;
+                    });
+                    if (!this.hasMatches() && this.swapMakesRun({ row, col }, from, length)) {
+                        return true;
+                    }
+                }
+                cells.forEach((cell, index) => {
+                    this.grid[cell.row][cell.col] = previous[index];
+                });
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Check if swapping two tiles lines up a run of at least `length` at pos1
+     */
+    swapMakesRun(pos1, pos2, length) {
+        this.swapEmojis(pos1, pos2);
+        const { horizontal, vertical } = this.getRunLengths(pos1.row, pos1.col, this.getMatchColor(pos1.row, pos1.col));
+        this.swapEmojis(pos1, pos2);
+        return Math.max(horizontal, vertical) >= length;
+    }
+
+    /**
+     * Check if a cell holds a plain, randomly placed emoji that can be recoloured
+     */
+    isRecolorable(row, col) {
+        return this.isShuffleable(row, col) && !this.isFixedCell(row, col);
+    }
+
+    /**
+     * Get a copy of the current board state
+     */
+    getState() {
+        return {
+            grid: this.grid.map(row => [...row]),
+            blockers: this.blockers.map(row => row.map(cell => cell && { ...cell })),
+            jelly: this.jelly.map(row => [...row]),
+            ingredientsSpawned: this.ingredientsSpawned,
+            portals: this.copyPortals(this.portals),
+            conveyors: this.copyConveyors(this.conveyors)
+        };
+    }
+
+    /**
+     * Restore board state
+     */
+    setState(state) {
+        this.grid = state.grid.map(row => [...row]);
+        this.blockers = state.blockers.map(row => row.map(cell => cell && { ...cell }));
+        this.jelly = state.jelly.map(row => [...row]);
+        this.ingredientsSpawned = state.ingredientsSpawned;
+        
+        // States saved before portals and conveyors existed keep the current ones
+        if (state.portals) {
+            this.portals = this.copyPortals(state.portals);
+        }
+        if (state.conveyors) {
+            this.conveyors = this.copyConveyors(state.conveyors);
+        }
+    }
+
+    /**
+     * Get all possible moves
+     */
+    getPossibleMoves() {
+        const moves = [];
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!this.isPlayable(row, col)) continue;
+                
+                // Check right swap
+                if (this.isPlayable(row, col + 1)) {
+                    const pos1 = { row, col };
+                    const pos2 = { row, col: col + 1 };
+                    
+                    if (this.swapEmojis(pos1, pos2)) {
+                        if (this.hasMatches() || this.getComboType(pos1, pos2)) {
+                            moves.push({ pos1, pos2, createsSpecial: this.isSpecialSwap(pos1, pos2) });
+                        }
+                        this.swapEmojis(pos1, pos2); // Swap back
+                    }
+                }
+                
+                // Check down swap
+                if (this.isPlayable(row + 1, col)) {
+                    const pos1 = { row, col };
+                    const pos2 = { row: row + 1, col };
+                    
+                    if (this.swapEmojis(pos1, pos2)) {
+                        if (this.hasMatches() || this.getComboType(pos1, pos2)) {
+                            moves.push({ pos1, pos2, createsSpecial: this.isSpecialSwap(pos1, pos2) });
+                        }
+                        this.swapEmojis(pos1, pos2); // Swap back
+                    }
+                }
+            }
         }
         
         return moves;
     }
 
+    /**
+     * Check if a swap that has just been made lines up a special-making match
+     */
+    isSpecialSwap(pos1, pos2) {
+        return [pos1, pos2].some(pos => this.wouldCreateSpecial(pos.row, pos.col, this.getMatchColor(pos.row, pos.col)));
+    }
+
     /**
      * Check if board has any matches
      */
     hasMatches() {
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                if (this.wouldCreateMatch(row, col, this.grid[row][col])) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.wouldCreateMatch(row, col, this.getMatchColor(row, col))) {
                     return true;
                 }
             }
@@ -446,7 +1746,7 @@ class GameBoard {
     getHint() {
         const possibleMoves = this.getPossibleMoves();
         if (possibleMoves.length > 0) {
-            return possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
+            return this.rng.pick(possibleMoves);
         }
         return null;
     }
@@ -456,8 +1756,8 @@ class GameBoard {
      */
     print() {
         console.log('Board State:');
-        for (let row = 0; row < this.size; row++) {
-            console.log(this.grid[row].join(' '));
+        for (let row = 0; row < this.rows; row++) {
+            console.log(this.grid[row].map((_, col) => this.getEmoji(row, col)).join(' '));
         }
     }
 }
@@ -0,0 +1,504 @@
+/**
+ * Engine.js - Headless rules engine for a level of Emoji Crush
+ * Owns the board, matching, scoring and objectives; knows nothing about the DOM or timing,
+ * so the same moves can be played in the browser, simulated under Node or checked on a server
+ */
+
+class GameEngine {
+    constructor(rng = new SeededRandom()) {
+        this.rng = rng;
+        this.board = new GameBoard(8, 8, rng);
+        this.matchDetector = new MatchDetector(this.board, rng);
+        this.objectives = new ObjectiveTracker();
+        this.score = 0;
+        this.moves = 0;
+        this.maxCascades = 10;
+        this.chocolateCleared = false;
+    }
+
+    /**
+     * Set up a level from its config (a generated level or one from LevelLoader)
+     * The score carries over between levels; seed fixes the board and refill sequence
+     */
+    loadLevel(config, seed) {
+        this.rng.setSeed(seed);
+        this.moves = config.moves;
+
+        const board = config.board || {};
+        this.board.configure({
+            rows: board.rows || 8,
+            cols: board.cols || 8,
+            emojis: config.emojis,
+            layout: board.layout || null,
+            mask: board.mask || null,
+            blockers: board.blockers || null,
+            jelly: board.jelly || null,
+            gravity: board.gravity || null,
+            spawners: board.spawners || null,
+            portals: board.portals || null,
+            conveyors: board.conveyors || null,
+            timerBombs: config.timerBombs || null,
+            ingredients: config.ingredients || null,
+            opening: config.opening || null,
+            spawn: config.spawn || null
+        });
+        this.board.init();
+        this.objectives = new ObjectiveTracker(
+            this.resolveObjectives(config.objectives || [{ type: 'score', target: config.goal }])
+        );
+        this.matchDetector.resetComboMultiplier();
+    }
+
+    /**
+     * Fill in objective counts that default to "all of them on the board"
+     */
+    resolveObjectives(objectives) {
+        return objectives.map(objective => {
+            if (objective.type === 'blockers' && !objective.count) {
+                return { ...objective, count: this.board.countBlockers(objective.blocker) };
+            }
+            if (objective.type === 'jelly' && !objective.count) {
+                return { ...objective, count: this.board.countJelly() };
+            }
+            return objective;
+        });
+    }
+
+    /**
+     * Play one swap to the end: combo, cascades, conveyors, chocolate, timer bombs and any reshuffle
+     * Returns { valid, reason, pos1, pos2, startState, steps, score, totalScore, moves, outcome, state }.
+     * An invalid swap (reason 'noMoves', 'blocked' or 'noMatch') leaves the engine untouched.
+     * steps are in the order they happened; each has a type ('combo', 'cascade', 'conveyor',
+     * 'chocolate', 'timerBombs' or 'shuffle') and the board state once it is done.
+     * Combo and cascade steps also carry a timeline of clears, new specials, blasts, falls and spawns.
+     * outcome is 'levelComplete', 'noMoves', 'bombExploded', 'deadlocked' (no reshuffle leaves
+     * a move) or null while the level goes on
+     */
+    step(pos1, pos2) {
+        const result = { valid: false, reason: null, pos1, pos2, steps: [] };
+
+        if (this.moves <= 0) {
+            result.reason = 'noMoves';
+            return result;
+        }
+        if (!this.board.areAdjacent(pos1, pos2) || !this.board.swapEmojis(pos1, pos2)) {
+            result.reason = 'blocked';
+            return result;
+        }
+
+        // Two specials, or a rainbow and an emoji, combine instead of matching
+        const isCombo = !!this.board.getComboType(pos1, pos2);
+        if (!isCombo && this.findAllMatches().length === 0) {
+            this.board.swapEmojis(pos1, pos2); // Swap back
+            result.reason = 'noMatch';
+            return result;
+        }
+
+        result.valid = true;
+        result.startState = this.board.getState();
+        this.moves--;
+        this.chocolateCleared = false;
+        const startScore = this.score;
+
+        if (isCombo) {
+            result.steps.push(this.runCombo(pos1, pos2));
+        }
+        // A special made by the swap appears where the player moved the tile
+        result.steps.push(...this.runCascades(isCombo ? [] : [pos2, pos1]));
+
+        // Conveyor belts move on once the board settles, which can line up new matches
+        const conveyed = this.board.shiftConveyors();
+        if (conveyed.length > 0) {
+            const collected = this.collectIngredients();
+            result.steps.push({ type: 'conveyor', movements: conveyed, ...collected, state: this.board.getState() });
+            result.steps.push(...this.runCascades());
+        }
+
+        // Chocolate grows on turns where none of it was cleared
+        if (!this.chocolateCleared && this.board.countBlockers('chocolate') > 0) {
+            const spread = this.board.spreadChocolate();
+            if (spread) {
+                result.steps.push({ type: 'chocolate', spread, state: this.board.getState() });
+            }
+        }
+
+        // Timer bombs count down once per move
+        const exploded = this.board.tickTimerBombs();
+        if (this.board.getTimerBombs().length > 0 || exploded.length > 0) {
+            result.steps.push({ type: 'timerBombs', exploded, state: this.board.getState() });
+        }
+
+        result.outcome = this.getOutcome(exploded);
+
+        // Reshuffle a dead board for free; a board no reshuffle can save loses the level
+        if (!result.outcome) {
+            const shuffle = this.resolveDeadlock();
+            if (shuffle) {
+                result.steps.push(shuffle);
+                if (!shuffle.reshuffled) {
+                    result.outcome = 'deadlocked';
+                }
+            }
+        }
+
+        result.score = this.score - startScore;
+        result.totalScore = this.score;
+        result.moves = this.moves;
+        result.state = this.board.getState();
+        return result;
+    }
+
+    /**
+     * Find every line, shaped and square match on the board
+     */
+    findAllMatches() {
+        const matches = this.matchDetector.findMatches();
+        const shapedMatches = this.matchDetector.findShapedMatches();
+        const squareMatches = this.matchDetector.findSquareMatches();
+        return [...matches, ...shapedMatches, ...squareMatches];
+    }
+
+    /**
+     * Clear matches until the board settles
+     * swapped lists the cells of the swap that started the cascade (the cell moved into first);
+     * specials made by the first round of matches are placed on them
+     * Returns one 'cascade' step per round
+     */
+    runCascades(swapped = []) {
+        const steps = [];
+
+        while (true) {
+            const allMatches = this.findAllMatches();
+            if (allMatches.length === 0) break;
+
+            // Prevent infinite loops
+            if (steps.length >= this.maxCascades) {
+                console.warn(`Breaking cascade loop at ${this.maxCascades} iterations to prevent infinite loop`);
+                break;
+            }
+
+            this.matchDetector.updateComboMultiplier(true);
+            const allPositions = this.matchDetector.getAllMatchPositions(allMatches);
+
+            // Specials caught in a match detonate, setting off any specials in their blast
+            const fired = [];
+            const blastPositions = this.fireSpecials(allPositions, fired);
+
+            // Score before removing
+            const specialEmojis = this.matchDetector.createSpecialEmojis(allMatches, steps.length === 0 ? swapped : []);
+            const score = this.matchDetector.calculateScore(allMatches, specialEmojis).totalScore +
+                this.matchDetector.calculateSpecialScore(fired, blastPositions);
+            specialEmojis.forEach(special => this.objectives.recordSpecialCreated(special.type));
+
+            const cleared = this.clearPositions(allPositions, blastPositions, allMatches.map(match => match.positions));
+
+            // Create special emojis at cleared positions
+            const specials = specialEmojis.map(special => ({
+                type: special.type,
+                position: special.position,
+                emoji: special.originalMatch.emoji,
+                orientation: special.orientation
+            }));
+            for (const special of specials) {
+                this.board.createSpecialEmoji(special.position.row, special.position.col, special.type, special);
+            }
+            const timeline = this.getClearTimeline(allMatches.flatMap(match => match.positions), fired, cleared, specials);
+
+            // Apply gravity and refill
+            const movements = this.board.applyGravity();
+            const spawns = this.board.fillEmpty();
+            timeline.push(...this.getRefillTimeline(movements, spawns));
+            const collected = this.collectIngredients();
+            timeline.push(...this.getCollectTimeline(collected));
+
+            this.score += score;
+            this.objectives.recordScore(this.score);
+
+            steps.push({
+                type: 'cascade',
+                matches: allMatches.map(match => ({
+                    type: match.type,
+                    subType: match.subType,
+                    emoji: match.emoji,
+                    positions: match.positions
+                })),
+                fired,
+                blasts: blastPositions,
+                specials,
+                cleared,
+                movements,
+                spawns,
+                ...collected,
+                score,
+                multiplier: this.matchDetector.getComboMultiplier(),
+                timeline,
+                state: this.board.getState()
+            });
+        }
+
+        // Reset combo once no more matches are left
+        this.matchDetector.updateComboMultiplier(false);
+        return steps;
+    }
+
+    /**
+     * Set off the combo made by swapping two specials (or a rainbow and an emoji)
+     * Returns a 'combo' step
+     */
+    runCombo(pos1, pos2) {
+        this.board.setTargetGoals(this.objectives.getTargets());
+        const combo = this.matchDetector.processSpecialCombo(pos1, pos2);
+
+        // Specials caught in the combo's blast go off too
+        const fired = [pos1, pos2, ...combo.stripes].map(pos => ({ row: pos.row, col: pos.col }));
+        const alreadyFired = fired.length;
+        const chainPositions = this.fireSpecials(combo.positions, fired);
+
+        const cleared = this.clearPositions([], [...combo.positions, ...chainPositions]);
+        this.score += combo.score;
+        this.objectives.recordScore(this.score);
+        const blasts = [{ ...combo, row: combo.center.row, col: combo.center.col }, ...fired.slice(alreadyFired)];
+        const timeline = this.getClearTimeline([], blasts, cleared);
+
+        const movements = this.board.applyGravity();
+        const spawns = this.board.fillEmpty();
+        timeline.push(...this.getRefillTimeline(movements, spawns));
+        const collected = this.collectIngredients();
+        timeline.push(...this.getCollectTimeline(collected));
+
+        return {
+            type: 'combo',
+            combo,
+            fired: fired.slice(alreadyFired),
+            cleared,
+            movements,
+            spawns,
+            ...collected,
+            score: combo.score,
+            timeline,
+            state: this.board.getState()
+        };
+    }
+
+    /**
+     * Break one blocker layer, set off a special or remove a single emoji with the hammer
+     * Returns a 'hammer' step, or null if the cell can't be hammered
+     */
+    hammer(row, col) {
+        // Ingredients can only leave the board through an exit
+        if (!this.board.isPlayable(row, col) || this.board.isIngredient(row, col)) {
+            return null;
+        }
+
+        const fired = [];
+        let hit = [];
+        let cleared = [];
+        if (this.board.getBlocker(row, col)) {
+            // Break one layer of the blocker (or the cage) instead of the emoji
+            this.recordBlockersCleared(this.board.damageBlockers([], [{ row, col }]).cleared);
+        } else if (this.board.getSpecial(row, col)) {
+            // Hitting a special sets it off
+            hit = [{ row, col }];
+            cleared = this.clearPositions([], [{ row, col }, ...this.fireSpecials([{ row, col }], fired)]);
+        } else {
+            // Remove single emoji
+            this.objectives.recordCleared([this.board.getEmoji(row, col)]);
+            this.objectives.recordJellyCleared(this.board.clearJelly([{ row, col }]));
+            this.board.setEmoji(row, col, null);
+            hit = [{ row, col }];
+            cleared = [{ row, col }];
+        }
+        const timeline = this.getClearTimeline(hit, fired, cleared);
+
+        const movements = this.board.applyGravity();
+        const spawns = this.board.fillEmpty();
+        timeline.push(...this.getRefillTimeline(movements, spawns));
+        const collected = this.collectIngredients();
+        timeline.push(...this.getCollectTimeline(collected));
+        return { type: 'hammer', fired, cleared, movements, spawns, ...collected, timeline, state: this.board.getState() };
+    }
+
+    /**
+     * Reshuffle the board when no valid move is left
+     * Returns a 'shuffle' step, or null if the board still has a move;
+     * the step's reshuffled is false if no reshuffle could make a move
+     */
+    resolveDeadlock() {
+        if (this.board.getPossibleMoves().length > 0) {
+            return null;
+        }
+
+        const reshuffled = this.board.shuffle();
+        return { type: 'shuffle', reshuffled, state: this.board.getState() };
+    }
+
+    /**
+     * Set off every special among the given positions
+     * fired lists specials that already went off and is extended in place
+     * Returns the positions hit by the blasts
+     */
+    fireSpecials(positions, fired = []) {
+        // Flutteries aim for whatever the level still needs
+        this.board.setTargetGoals(this.objectives.getTargets());
+        const blastPositions = [];
+        for (const pos of positions) {
+            if (this.board.getSpecial(pos.row, pos.col)) {
+                blastPositions.push(...this.matchDetector.processSpecialEmoji(pos.row, pos.col, fired));
+            }
+        }
+        return blastPositions;
+    }
+
+    /**
+     * Clear matched and blasted tiles, breaking any blockers they touch
+     * Caged tiles only lose their cage, and ingredients are left alone; matchGroups
+     * are the separate matches behind matchedPositions, each hitting nearby blockers
+     * Returns the positions whose tiles were removed
+     */
+    clearPositions(matchedPositions, blastPositions = [], matchGroups = [matchedPositions]) {
+        // Hit blockers; caged tiles lose their cage but stay on the board
+        const blockerResult = this.board.damageBlockers(matchedPositions, blastPositions, matchGroups);
+        const keptTiles = new Set(blockerResult.keptTiles.map(pos => `${pos.row}-${pos.col}`));
+        const clearedPositions = this.matchDetector.getAllMatchPositions([
+            { positions: matchedPositions },
+            { positions: blastPositions }
+        ]).filter(pos =>
+            !keptTiles.has(`${pos.row}-${pos.col}`) &&
+            this.board.getTile(pos.row, pos.col) !== null &&
+            !this.board.isIngredient(pos.row, pos.col)
+        );
+        this.recordBlockersCleared(blockerResult.cleared);
+
+        // Track objective progress
+        this.objectives.recordCleared(clearedPositions.map(pos => this.board.getEmoji(pos.row, pos.col)));
+        this.objectives.recordJellyCleared(this.board.clearJelly(clearedPositions));
+        this.board.removeEmojis(clearedPositions);
+        return clearedPositions;
+    }
+
+    /**
+     * Order how a step's tiles left the board, for playback
+     * 'clear' removes the matched cells (in match order), each 'special' puts a new special
+     * on the board, then each 'blast' sets off a special (or combo) in the order they fired.
+     * A removed cell shows up under whichever came first; new specials are never blasted.
+     * Call once the new specials are on the board and before gravity
+     */
+    getClearTimeline(matched, fired, cleared, specials = []) {
+        const key = pos => `${pos.row}-${pos.col}`;
+        const remaining = new Set(cleared.map(key));
+        specials.forEach(special => remaining.delete(key(special.position)));
+        const take = positions => positions.filter(pos => remaining.delete(key(pos)));
+
+        const createdAt = new Set(specials.map(special => key(special.position)));
+        const timeline = [];
+        const clears = matched.filter(pos => {
+            const cell = key(pos);
+            return createdAt.delete(cell) || remaining.delete(cell);
+        });
+        if (clears.length > 0) {
+            timeline.push({ type: 'clear', positions: clears });
+        }
+        for (const special of specials) {
+            const { row, col } = special.position;
+            timeline.push({ type: 'special', special, tile: this.board.getTile(row, col) });
+        }
+        for (const special of fired) {
+            timeline.push({ type: 'blast', special, positions: take(special.positions || []) });
+        }
+        return timeline;
+    }
+
+    /**
+     * Order the fall and refill that follow a clear
+     * 'fall' carries the board state once everything has landed
+     */
+    getRefillTimeline(movements, spawns) {
+        const timeline = [{ type: 'fall', movements, state: this.board.getState() }];
+        if (spawns.length > 0) {
+            timeline.push({ type: 'spawn', spawns });
+        }
+        return timeline;
+    }
+
+    /**
+     * Order ingredients leaving through their exits and the board refilling behind them
+     */
+    getCollectTimeline({ collected, collectMovements, collectSpawns }) {
+        if (collected.length === 0) {
+            return [];
+        }
+        return [{ type: 'collect', positions: collected }, ...this.getRefillTimeline(collectMovements, collectSpawns)];
+    }
+
+    /**
+     * Take ingredients off their exits, letting the board refill behind them
+     * Returns { collected, collectMovements, collectSpawns } for the step it happened in
+     */
+    collectIngredients() {
+        const result = { collected: [], collectMovements: [], collectSpawns: [] };
+        let collected = this.board.collectIngredients();
+        while (collected.length > 0) {
+            this.objectives.recordIngredientsCollected(collected.length);
+            result.collected.push(...collected);
+            result.collectMovements.push(...this.board.applyGravity());
+            result.collectSpawns.push(...this.board.fillEmpty());
+            collected = this.board.collectIngredients();
+        }
+        return result;
+    }
+
+    /**
+     * Count cleared blockers towards objectives and chocolate spreading
+     */
+    recordBlockersCleared(cleared) {
+        for (const blocker of cleared) {
+            this.objectives.recordBlockerCleared(blocker.type);
+            if (blocker.type === 'chocolate') {
+                this.chocolateCleared = true;
+            }
+        }
+    }
+
+    /**
+     * Work out how the level stands after a move
+     * A bomb reaching zero loses the level unless the same move completed it
+     */
+    getOutcome(exploded = []) {
+        const complete = this.objectives.isComplete();
+        if (exploded.length > 0 && !complete) return 'bombExploded';
+        if (complete) return 'levelComplete';
+        if (this.moves <= 0) return 'noMoves';
+        return null;
+    }
+
+    /**
+     * Get engine state (for undo)
+     */
+    getState() {
+        return {
+            board: this.board.getState(),
+            score: this.score,
+            moves: this.moves,
+            comboMultiplier: this.matchDetector.getComboMultiplier(),
+            rngState: this.rng.getState(),
+            objectives: this.objectives.getState()
+        };
+    }
+
+    /**
+     * Restore engine state
+     */
+    setState(state) {
+        this.board.setState(state.board);
+        this.score = state.score;
+        this.moves = state.moves;
+        this.matchDetector.comboMultiplier = state.comboMultiplier;
+        this.rng.setState(state.rngState);
+        this.objectives.setState(state.objectives);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
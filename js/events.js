@@ -0,0 +1,75 @@
+/**
+ * Events.js - Typed event bus for game events
+ * The UI, audio, statistics and plugins subscribe here instead of wrapping game methods
+ */
+
+class GameEvents {
+    constructor() {
+        // Every event the game emits, with the payload its listeners receive
+        this.types = {
+            swap: '{ pos1, pos2, result }: a valid swap, with the GameEngine.step() result about to be shown',
+            invalidSwap: '{ pos1, pos2, reason }: a swap that was refused (reason "noMoves", "blocked" or "noMatch")',
+            match: '{ matches, cleared, score, multiplier }: one round of matches, before the tiles are cleared',
+            cascade: '{ step, index, startState }: the board has moved on from startState to step.state (a combo, cascade, conveyor, chocolate, timerBombs, hammer or shuffle step)',
+            specialCreated: '{ type, position, emoji, orientation }: a special was made by a match',
+            specialFired: '{ type, row, col, ... }: a special or special combo went off; combos carry the whole combo',
+            scoreChanged: '{ score, previous }',
+            movesChanged: '{ moves, previous }',
+            levelComplete: '{ level, score, bonus, stars, isHighScore }',
+            gameOver: '{ reason, finalScore, level, isHighScore }'
+        };
+        this.listeners = {};
+    }
+
+    /**
+     * Listen for an event; returns a function that stops listening
+     * A listener can return a promise to make the game wait for it, e.g. while it animates
+     */
+    on(type, listener) {
+        this.checkType(type);
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Stop listening for an event
+     */
+    off(type, listener) {
+        this.checkType(type);
+        this.listeners[type] = (this.listeners[type] || []).filter(existing => existing !== listener);
+    }
+
+    /**
+     * Call every listener for an event in the order they subscribed
+     * Returns a promise that settles once every listener's promise has; a failing listener
+     * is logged and doesn't stop the others or the game
+     */
+    emit(type, payload = {}) {
+        this.checkType(type);
+        const pending = (this.listeners[type] || []).slice().map(listener => {
+            try {
+                return Promise.resolve(listener(payload)).catch(error => {
+                    console.error(`Error in "${type}" listener:`, error);
+                });
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+                return null;
+            }
+        });
+        return Promise.all(pending);
+    }
+
+    /**
+     * Reject event names the game never emits, so typos fail loudly
+     */
+    checkType(type) {
+        if (!Object.prototype.hasOwnProperty.call(this.types, type)) {
+            throw new Error(`Unknown game event "${type}"; expected one of: ${Object.keys(this.types).join(', ')}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEvents;
+}
@@ -1,10 +1,18 @@
 /**
- * Game.js - Core game logic, scoring, levels, and game state management
- * Main game controller for Emoji Crush
+ * Game.js - Levels, power-ups, timers, statistics and game state management
+ * Main game controller for Emoji Crush; the rules of play live in GameEngine
  */
 
 class EmojiCrushGame {
     constructor() {
+        // The engine plays the level itself: board, matching, score, moves and objectives
+        this.rng = new SeededRandom();
+        this.seed = this.rng.seed;
+        this.engine = new GameEngine(this.rng);
+        
+        // The UI, sounds, statistics and plugins follow the game through these events
+        this.events = new GameEvents();
+        
         // Initialize basic properties first
         this.gameState = 'menu'; // menu, playing, paused, gameOver, levelComplete
         this.score = 0;
@@ -23,6 +31,7 @@ class EmojiCrushGame {
         this.gameMode = 'normal'; // normal, timed, endless
         this.timeLeft = 0;
         this.timerInterval = null;
+        this.levelPack = null; // URL of the level pack in use, if any
         
         // Initialize methods that don't depend on other objects
         try {
@@ -38,9 +47,38 @@ class EmojiCrushGame {
             this.achievements = {};
         }
         
-        // Initialize game objects last - but don't start game yet
-        this.board = null; // Will be initialized when game starts
-        this.matchDetector = null;
+        this.subscribeStats();
+    }
+
+    /**
+     * Level state lives in the engine; these pass straight through to it
+     */
+    get board() {
+        return this.engine.board;
+    }
+
+    get matchDetector() {
+        return this.engine.matchDetector;
+    }
+
+    get objectives() {
+        return this.engine.objectives;
+    }
+
+    get score() {
+        return this.engine.score;
+    }
+
+    set score(score) {
+        this.engine.score = score;
+    }
+
+    get moves() {
+        return this.engine.moves;
+    }
+
+    set moves(moves) {
+        this.engine.moves = moves;
     }
 
     /**
@@ -53,13 +91,18 @@ class EmojiCrushGame {
             // Start extremely easy and gradually increase
             const baseGoal = i === 1 ? 200 : i === 2 ? 300 : 200 + (i * 150); // Much easier start
             const baseMoves = i === 1 ? 60 : i === 2 ? 50 : Math.max(20, 50 - Math.floor(i / 2)); // Many more moves
+            const specialRequirements = this.getSpecialRequirements(i);
             
             configs.push({
                 level: i,
                 goal: baseGoal,
                 moves: baseMoves,
                 timeLimit: null,
-                specialRequirements: this.getSpecialRequirements(i),
+                specialRequirements: specialRequirements,
+                objectives: this.getLevelObjectives(baseGoal, specialRequirements),
+                opening: this.getOpeningRequirements(i),
+                timerBombs: this.getTimerBombSettings(i),
+                spawn: this.getSpawnTable(i, specialRequirements),
                 difficulty: this.getDifficultyLevel(i),
                 starThresholds: {
                     one: Math.floor(baseGoal * 0.6),
@@ -72,6 +115,25 @@ class EmojiCrushGame {
         return configs;
     }
 
+    /**
+     * Replace the built-in levels with configs from LevelLoader
+     */
+    setLevels(configs) {
+        if (!Array.isArray(configs) || configs.length === 0) {
+            throw new Error('setLevels() needs at least one level config');
+        }
+        this.levelConfig = configs;
+    }
+
+    /**
+     * Fetch a JSON level pack and use it instead of the built-in levels
+     */
+    async loadLevelPack(url) {
+        const loader = new LevelLoader(this.board ? this.board.defaultEmojis : undefined);
+        this.setLevels(await loader.fetchPack(url));
+        this.levelPack = url;
+    }
+
     /**
      * Get special requirements for level
      */
@@ -80,7 +142,7 @@ class EmojiCrushGame {
         
         if (level % 5 === 0) {
             // Every 5th level has special emoji requirements
-            const emojis = ['🍎', '🍌', '🍇', '🍓', '🥑'];
+            const emojis = ['🍎', '🍌', '🍇', '🍓', '🍒'];
             const targetEmoji = emojis[Math.floor(level / 5) % emojis.length];
             requirements.clearSpecific = {
                 emoji: targetEmoji,
@@ -96,6 +158,68 @@ class EmojiCrushGame {
         return requirements;
     }
 
+    /**
+     * Build the objective list for a generated level
+     */
+    getLevelObjectives(goal, requirements) {
+        const objectives = [{ type: 'score', target: goal }];
+        
+        if (requirements.clearSpecific) {
+            objectives.push({
+                type: 'collect',
+                emoji: requirements.clearSpecific.emoji,
+                count: requirements.clearSpecific.count
+            });
+        }
+        
+        return objectives;
+    }
+
+    /**
+     * Get how generous the starting board is
+     * Early levels open with plenty of moves and a special to make; later ones can be tight
+     */
+    getOpeningRequirements(level) {
+        return {
+            minMoves: level <= 5 ? 5 : level <= 20 ? 3 : 1,
+            specialMoves: level <= 3 ? 2 : level <= 10 ? 1 : 0
+        };
+    }
+
+    /**
+     * Get the spawn table for a generated level
+     * More colours make matches rarer; early levels drop the odd striped tile,
+     * and collect levels spawn a little more of the target fruit
+     */
+    getSpawnTable(level, requirements) {
+        const weights = {};
+        if (requirements.clearSpecific) {
+            weights[requirements.clearSpecific.emoji] = 1.5;
+        }
+        
+        return {
+            colors: level <= 10 ? 5 : level <= 25 ? 6 : level <= 40 ? 7 : 8,
+            weights,
+            columns: {},
+            specials: level <= 5 ? { striped: 0.02 } : level <= 15 ? { striped: 0.01 } : {}
+        };
+    }
+
+    /**
+     * Get timer bomb settings for a generated level
+     * Every fourth level from 12 on is a move-pressure level, with shorter fuses later on
+     */
+    getTimerBombSettings(level) {
+        if (level < 12 || level % 4 !== 0) {
+            return null;
+        }
+        return {
+            countdown: Math.max(6, 12 - Math.floor(level / 10)),
+            spawnChance: 0.04,
+            maxOnBoard: level <= 30 ? 1 : 2
+        };
+    }
+
     /**
      * Get difficulty level
      */
@@ -121,10 +245,28 @@ class EmojiCrushGame {
         };
     }
 
+    /**
+     * Count matches, specials and combos towards the lifetime statistics
+     */
+    subscribeStats() {
+        this.events.on('match', ({ matches, multiplier }) => {
+            this.stats.totalMatches += matches.length;
+            this.stats.longestCombo = Math.max(this.stats.longestCombo, multiplier);
+        });
+        this.events.on('specialCreated', () => {
+            this.stats.totalSpecialEmojis++;
+        });
+    }
+
     /**
      * Start new game
+     * Returns false while a move is still playing out, as it would keep writing to the board
      */
     startNewGame(mode = 'normal') {
+        if (this.isProcessing) {
+            return false;
+        }
+        
         this.gameMode = mode;
         this.gameState = 'playing';
         this.score = 0;
@@ -133,20 +275,9 @@ class EmojiCrushGame {
         this.isProcessing = false;
         this.activePowerUp = null;
         this.moveHistory = [];
-        
-        // Initialize board and match detector if not already done
-        if (!this.board) {
-            this.board = new GameBoard(8);
-        }
-        
-        if (!this.matchDetector) {
-            this.matchDetector = new MatchDetector(this.board);
-        }
-        
         this.matchDetector.resetComboMultiplier();
         
         this.loadLevel(1);
-        this.board.init();
         
         // Don't load saved state on new game start - always start fresh
         console.log('Starting new game');
@@ -154,7 +285,7 @@ class EmojiCrushGame {
         // Debug logging
         console.log('Board initialized:', this.board);
         console.log('Board grid:', this.board.grid);
-        console.log('Board size:', this.board.size);
+        console.log('Board size:', this.board.rows, 'x', this.board.cols);
         
         if (mode === 'timed') {
             this.timeLeft = 60;
@@ -163,62 +294,36 @@ class EmojiCrushGame {
         
         this.stats.totalGamesPlayed++;
         this.saveStats();
-    }
-
-    /**
-     * Highlight matched tiles for visual feedback before removal
-     */
-    async highlightMatchedTiles(positions) {
-        // Update board to show current state first
-        const ui = window.gameUI || document.gameUI;
-        if (ui) {
-            ui.updateBoard();
-        }
-        
-        // Add highlight class to matched tiles
-        positions.forEach(pos => {
-            const tile = document.querySelector(`[data-row="${pos.row}"][data-col="${pos.col}"]`);
-            if (tile) {
-                tile.classList.add('matched');
-            }
-        });
-
-        // Wait for 300ms to show the match (reduced from 500ms)
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        // Remove highlight class
-        positions.forEach(pos => {
-            const tile = document.querySelector(`[data-row="${pos.row}"][data-col="${pos.col}"]`);
-            if (tile) {
-                tile.classList.remove('matched');
-            }
-        });
+        this.saveGameState();
+        return true;
     }
 
     /**
      * Load specific level
+     * Passing a seed replays that exact board and refill sequence
      */
-    loadLevel(levelNumber) {
+    loadLevel(levelNumber, seed = null) {
+        const previous = { score: this.score, moves: this.moves };
         this.level = levelNumber;
         const config = this.levelConfig[levelNumber - 1] || this.levelConfig[this.levelConfig.length - 1];
         
+        this.seed = seed ?? config.seed ?? SeededRandom.generateSeed();
         this.goal = config.goal;
-        this.moves = config.moves;
-        this.timeLeft = config.specialRequirements.timeLimit || 0;
+        this.timeLeft = config.timeLimit || config.specialRequirements.timeLimit || 0;
         
         console.log(`Loading Level ${levelNumber}:`, {
             goal: this.goal,
-            moves: this.moves,
-            timeLimit: this.timeLeft
+            moves: config.moves,
+            timeLimit: this.timeLeft,
+            seed: this.seed
         });
         
         if (this.timeLeft > 0) {
             this.startTimer();
         }
         
-        // Reset board for new level
-        this.board.init();
-        this.matchDetector.resetComboMultiplier();
+        this.engine.loadLevel(config, this.seed);
+        this.announceChanges(previous);
     }
 
     /**
@@ -258,11 +363,21 @@ class EmojiCrushGame {
             return false;
         }
 
+        // Void cells of shaped boards can't be selected
+        if (!this.board.isPlayable(row, col)) {
+            return false;
+        }
+
         // Handle power-up usage
         if (this.activePowerUp) {
             return this.usePowerUp(row, col);
         }
 
+        // Blockers and caged tiles can't be moved
+        if (!this.board.isMovable(row, col)) {
+            return false;
+        }
+
         const clickedTile = { row, col };
 
         if (!this.selectedTile) {
@@ -293,164 +408,112 @@ class EmojiCrushGame {
 
     /**
      * Attempt to swap two tiles
+     * The engine plays the whole move at once; the events then replay what happened
      */
     async attemptSwap(pos1, pos2) {
         console.log('attemptSwap called with:', pos1, pos2);
         console.log('Moves remaining:', this.moves);
         
-        if (this.moves <= 0) {
-            console.log('No moves left');
-            return false;
-        }
-
-        // Perform the swap first to check for matches
-        this.board.swapEmojis(pos1, pos2);
-        
-        // Check for matches after swap
-        const matches = this.matchDetector.findMatches();
-        const shapedMatches = this.matchDetector.findShapedMatches();
-        const allMatches = [...matches, ...shapedMatches];
+        // Keep the level as it was before the swap for undo
+        const before = this.engine.getState();
+        const result = this.engine.step(pos1, pos2);
         
-        console.log('Matches found after swap:', allMatches.length);
-        
-        if (allMatches.length === 0) {
-            // Invalid swap - revert and animate rejection
-            console.log('Invalid swap - no matches created, reverting');
-            this.board.swapEmojis(pos1, pos2); // Swap back
+        if (!result.valid) {
+            console.log('Invalid swap:', result.reason);
+            this.events.emit('invalidSwap', { pos1, pos2, reason: result.reason });
             return false;
         }
 
-        // Save state for undo
-        this.saveMove(pos1, pos2);
-
-        // Don't swap again - already swapped above
-        console.log('Valid swap confirmed, processing matches...');
-        this.moves--;
+        this.saveMove(pos1, pos2, before);
         this.selectedTile = null;
-        this.isProcessing = true;
 
-        // Process cascading matches immediately
-        try {
-            await this.processCascadingMatches();
-        } catch (error) {
-            console.error('Error in processCascadingMatches:', error);
-        } finally {
-            this.isProcessing = false;
-        }
-        
-        // Force UI update after processing
-        const ui = window.gameUI || document.gameUI;
-        if (ui) {
-            ui.updateBoard();
-            ui.updateUI();
-        }
+        // Listeners see the swap on the board as it was before anything cleared
+        this.announceChanges({ moves: before.moves });
+        await this.playSteps(result.startState, result.steps,
+            () => this.events.emit('swap', { pos1, pos2, result }));
+        this.announceChanges({ score: before.score });
         
         // Save game state after processing
         this.saveGameState();
         
-        // Check win/lose conditions
-        this.checkGameEnd();
+        // Check win/lose conditions; a bomb reaching zero, or a board that no reshuffle
+        // leaves a move on, loses the level unless this move won it
+        if (result.outcome === 'bombExploded' || result.outcome === 'deadlocked') {
+            this.endGame(result.outcome);
+        } else {
+            this.checkGameEnd();
+        }
         
         console.log('Swap completed successfully');
         return true;
     }
 
     /**
-     * Process cascading matches and animations
+     * Replay engine steps through the events, from the board as it was before them
+     * Listeners see each step's board as it happens and can hold the game up with promises;
+     * the board always ends as the engine left it. opening, if given, runs once the board
+     * is back at startState and before the first step
      */
-    async processCascadingMatches() {
-        console.log('=== STARTING MATCH PROCESSING ===');
-        let cascadeCount = 0;
-        let totalScore = 0;
-
-        // Force UI update first
-        const ui = window.gameUI || document.gameUI;
-        if (ui) {
-            ui.updateBoard();
-            ui.updateUI();
-        }
-
-        while (true) {
-            // Find matches
-            const matches = this.matchDetector.findMatches();
-            const shapedMatches = this.matchDetector.findShapedMatches();
-            const allMatches = [...matches, ...shapedMatches];
-
-            console.log(`Cascade ${cascadeCount + 1}: Found ${allMatches.length} matches`);
-
-            if (allMatches.length === 0) {
-                console.log('No more matches found, stopping cascade');
-                break;
-            }
-
-            cascadeCount++;
-            
-            // Prevent infinite loops
-            if (cascadeCount > 10) {
-                console.warn('Breaking cascade loop at 10 iterations to prevent infinite loop');
-                break;
+    async playSteps(startState, steps, opening = null) {
+        const finalState = this.board.getState();
+        this.isProcessing = true;
+        try {
+            this.board.setState(startState);
+            if (opening) {
+                await opening();
             }
-            
-            // Update combo multiplier
-            this.matchDetector.updateComboMultiplier(true);
-
-            // Get all positions to remove
-            const allPositions = this.matchDetector.getAllMatchPositions(allMatches);
-            console.log('Removing positions:', allPositions);
-            
-            // Calculate score before removing
-            const specialEmojis = this.matchDetector.createSpecialEmojis(allMatches);
-            const scoreData = this.matchDetector.calculateScore(allMatches, specialEmojis);
-            totalScore += scoreData.totalScore;
-
-            // Update statistics
-            this.stats.totalMatches += allMatches.length;
-            this.stats.totalSpecialEmojis += specialEmojis.length;
-            this.stats.longestCombo = Math.max(this.stats.longestCombo, this.matchDetector.getComboMultiplier());
-
-            // Remove matched emojis immediately - no highlighting
-            this.board.removeEmojis(allPositions);
-
-            // Create special emojis at cleared positions
-            for (const special of specialEmojis) {
-                this.board.createSpecialEmoji(
-                    special.position.row, 
-                    special.position.col, 
-                    special.type
-                );
+            for (let index = 0; index < steps.length; index++) {
+                await this.announceStep(steps[index], index);
             }
+        } catch (error) {
+            console.error('Error playing move:', error);
+        } finally {
+            this.board.setState(finalState);
+            this.isProcessing = false;
+        }
+    }
 
-            // Apply gravity and refill
-            this.board.applyGravity();
-            this.board.fillEmpty();
-
-            // Force UI update immediately after each cascade
-            if (ui) {
-                ui.renderBoard();
-                ui.updateUI();
-            }
+    /**
+     * Emit the events for one engine step
+     * Specials go off while the tiles they hit are still on the board, then the board
+     * moves on to the step's state
+     */
+    async announceStep(step, index) {
+        if (step.type === 'cascade') {
+            await this.events.emit('match', {
+                matches: step.matches,
+                cleared: step.cleared,
+                score: step.score,
+                multiplier: step.multiplier
+            });
+        }
 
-            console.log(`Cascade ${cascadeCount} complete, checking for more matches...`);
-            
-            // Small delay between cascades
-            await new Promise(resolve => setTimeout(resolve, 200));
+        const fired = (step.fired || []).map(special => this.events.emit('specialFired', special));
+        if (step.type === 'combo') {
+            const { center } = step.combo;
+            fired.push(this.events.emit('specialFired', { ...step.combo, row: center.row, col: center.col }));
         }
+        await Promise.all(fired);
 
-        // Add score
-        this.score += totalScore;
-        
-        // Reset combo if no more matches
-        this.matchDetector.updateComboMultiplier(false);
+        const startState = this.board.getState();
+        this.board.setState(step.state);
+        await this.events.emit('cascade', { step, index, startState });
 
-        // Final UI update
-        if (ui) {
-            ui.renderBoard();
-            ui.updateUI();
+        for (const special of step.specials || []) {
+            this.events.emit('specialCreated', special);
         }
+    }
 
-        console.log(`=== MATCH PROCESSING COMPLETE ===`);
-        console.log(`Total cascades: ${cascadeCount}, Total score: ${totalScore}`);
-        return { cascadeCount, totalScore };
+    /**
+     * Emit scoreChanged and movesChanged for whichever of the given earlier values changed
+     */
+    announceChanges(previous) {
+        if (previous.score !== undefined && previous.score !== this.score) {
+            this.events.emit('scoreChanged', { score: this.score, previous: previous.score });
+        }
+        if (previous.moves !== undefined && previous.moves !== this.moves) {
+            this.events.emit('movesChanged', { moves: this.moves, previous: previous.moves });
+        }
     }
 
     /**
@@ -461,12 +524,16 @@ class EmojiCrushGame {
             return false;
         }
 
+        const before = this.board.getState();
+        let step = null;
+
         switch (this.activePowerUp) {
             case 'hammer':
-                // Remove single emoji
-                this.board.setEmoji(row, col, null);
-                this.board.applyGravity();
-                this.board.fillEmpty();
+                // Ingredients can only leave the board through an exit
+                step = this.engine.hammer(row, col);
+                if (!step) {
+                    return false;
+                }
                 break;
 
             case 'shuffle':
@@ -482,22 +549,46 @@ class EmojiCrushGame {
         this.powerUps[this.activePowerUp]--;
         this.activePowerUp = null;
         
+        // A hammer blow can complete the level's objectives, or leave the board without moves
+        this.playSteps(before, step ? [step] : []).then(async () => {
+            this.checkGameEnd();
+            if (this.gameState === 'playing') {
+                await this.resolveDeadlock();
+            }
+            if (this.gameState === 'playing') {
+                this.saveGameState();
+            }
+        });
+        
+        return true;
+    }
+
+    /**
+     * Reshuffle the board when no valid move is left
+     * Free for the player; specials and blockers keep their places. A board that no
+     * reshuffle leaves a move on ends the level
+     * Returns true if the board had to be reshuffled
+     */
+    async resolveDeadlock() {
+        const before = this.board.getState();
+        const step = this.engine.resolveDeadlock();
+        if (!step) {
+            return false;
+        }
+        
+        await this.playSteps(before, [step]);
+        if (!step.reshuffled) {
+            this.endGame('deadlocked');
+        }
         return true;
     }
 
     /**
      * Save move for undo functionality
+     * state is the engine state from before the move
      */
-    saveMove(pos1, pos2) {
-        const boardState = this.board.getState();
-        this.moveHistory.push({
-            boardState,
-            pos1,
-            pos2,
-            score: this.score,
-            moves: this.moves + 1, // +1 because we haven't decremented yet
-            comboMultiplier: this.matchDetector.getComboMultiplier()
-        });
+    saveMove(pos1, pos2, state = this.engine.getState()) {
+        this.moveHistory.push({ pos1, pos2, state });
 
         // Keep only last 5 moves
         if (this.moveHistory.length > 5) {
@@ -514,10 +605,10 @@ class EmojiCrushGame {
         }
 
         const lastMove = this.moveHistory.pop();
-        this.board.setState(lastMove.boardState);
-        this.score = lastMove.score;
-        this.moves = lastMove.moves;
-        this.matchDetector.comboMultiplier = lastMove.comboMultiplier;
+        const previous = { score: this.score, moves: this.moves };
+        this.engine.setState(lastMove.state);
+        this.announceChanges(previous);
+        this.saveGameState();
         
         return true;
     }
@@ -526,12 +617,12 @@ class EmojiCrushGame {
      * Check if game should end
      */
     checkGameEnd() {
-        console.log('Checking game end - Score:', this.score, 'Goal:', this.goal, 'Level:', this.level);
+        console.log('Checking game end - Objectives:', this.objectives.getProgress(), 'Level:', this.level);
         
-        if (this.score >= this.goal) {
-            console.log('Level complete! Score reached goal.');
+        if (this.objectives.isComplete()) {
+            console.log('Level complete! All objectives reached.');
             this.completeLevel();
-        } else if (this.moves <= 0 && !this.hasValidMoves()) {
+        } else if (this.moves <= 0) {
             this.endGame('noMoves');
         } else if (this.timeLeft <= 0 && this.gameMode === 'timed') {
             this.endGame('timeUp');
@@ -551,6 +642,7 @@ class EmojiCrushGame {
     completeLevel() {
         this.gameState = 'levelComplete';
         this.stopTimer();
+        this.clearSavedGame();
         
         // Calculate bonus score
         const moveBonus = this.moves * 50;
@@ -558,6 +650,8 @@ class EmojiCrushGame {
         const totalBonus = moveBonus + timeBonus;
         
         this.score += totalBonus;
+        this.objectives.recordScore(this.score);
+        this.announceChanges({ score: this.score - totalBonus });
         
         // Calculate stars
         const config = this.levelConfig[this.level - 1];
@@ -575,13 +669,15 @@ class EmojiCrushGame {
         
         this.saveStats();
         
-        return {
+        const result = {
             level: this.level,
             score: this.score,
             bonus: totalBonus,
             stars: stars,
             isHighScore: this.score > this.highScore
         };
+        this.events.emit('levelComplete', result);
+        return result;
     }
 
     /**
@@ -600,6 +696,7 @@ class EmojiCrushGame {
     endGame(reason) {
         this.gameState = 'gameOver';
         this.stopTimer();
+        this.clearSavedGame();
         
         // Update statistics
         this.stats.totalScore += this.score;
@@ -612,12 +709,14 @@ class EmojiCrushGame {
         
         this.saveStats();
         
-        return {
+        const result = {
             reason: reason,
             finalScore: this.score,
             level: this.level,
             isHighScore: this.score > this.highScore
         };
+        this.events.emit('gameOver', result);
+        return result;
     }
 
     /**
@@ -644,24 +743,36 @@ class EmojiCrushGame {
 
     /**
      * Restart current level
+     * Pass the current seed to replay the same board
+     * Returns false while a move is still playing out, as it would keep writing to the board
      */
-    restartLevel() {
-        this.loadLevel(this.level);
+    restartLevel(seed = null) {
+        if (this.isProcessing) {
+            return false;
+        }
+        
+        this.loadLevel(this.level, seed);
         this.gameState = 'playing';
         this.selectedTile = null;
-        this.isProcessing = false;
         this.activePowerUp = null;
         this.moveHistory = [];
+        this.saveGameState();
+        return true;
     }
 
     /**
      * Go to next level
+     * Returns false while a move is still playing out, or after the last level
      */
     nextLevel() {
-        if (this.level < this.levelConfig.length) {
-            this.loadLevel(this.level + 1);
-            this.gameState = 'playing';
+        if (this.isProcessing || this.level >= this.levelConfig.length) {
+            return false;
         }
+        
+        this.loadLevel(this.level + 1);
+        this.gameState = 'playing';
+        this.saveGameState();
+        return true;
     }
 
     /**
@@ -685,7 +796,10 @@ class EmojiCrushGame {
             level: this.level,
             moves: this.moves,
             timeLeft: this.timeLeft,
-            percentage: Math.min((this.score / this.goal) * 100, 100),
+            seed: this.seed,
+            jelly: this.board.countJelly(),
+            percentage: this.objectives.getCompletion() * 100,
+            objectives: this.objectives.getProgress(),
             combo: this.matchDetector.getComboMultiplier(),
             powerUps: { ...this.powerUps },
             activePowerUp: this.activePowerUp
@@ -724,37 +838,95 @@ class EmojiCrushGame {
     }
 
     /**
-     * Load game state from localStorage (for resuming games)
+     * Save the level in progress to localStorage so it can be continued later
+     * Holds the whole engine state (board and every layer, score, moves, objectives and RNG),
+     * along with power-ups, the undo history and the clock
+     */
+    saveGameState() {
+        try {
+            const saved = {
+                version: 1,
+                timestamp: Date.now(),
+                levelPack: this.levelPack,
+                level: this.level,
+                seed: this.seed,
+                gameMode: this.gameMode,
+                timeLeft: this.timeLeft,
+                engine: this.engine.getState(),
+                powerUps: { ...this.powerUps },
+                moveHistory: this.moveHistory
+            };
+            localStorage.setItem('fruitCrushGameState', JSON.stringify(saved));
+        } catch (e) {
+            console.warn('Could not save game state:', e);
+        }
+    }
+
+    /**
+     * Forget the saved level once it has been won or lost
+     */
+    clearSavedGame() {
+        try {
+            localStorage.removeItem('fruitCrushGameState');
+        } catch (e) {
+            console.warn('Could not clear saved game:', e);
+        }
+    }
+
+    /**
+     * Get the saved level in progress, or null if there is none to continue
+     * Saves older than a day are ignored
+     */
+    static getSavedGame() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('fruitCrushGameState'));
+            if (saved && saved.version === 1 && Date.now() - saved.timestamp < 24 * 60 * 60 * 1000) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('Could not read saved game:', e);
+        }
+        return null;
+    }
+
+    /**
+     * Continue the saved level exactly where it was left
+     * The level is rebuilt from its config and seed, then the saved state is laid over it.
+     * Returns false if there is no save for the levels in use
      */
     loadSavedGame() {
+        const saved = EmojiCrushGame.getSavedGame();
+        if (!saved || saved.levelPack !== this.levelPack || !this.levelConfig[saved.level - 1]) {
+            return false;
+        }
+        
         try {
-            const saved = localStorage.getItem('fruitCrushGameState');
-            if (saved) {
-                const gameState = JSON.parse(saved);
-                // Only load if saved within last 24 hours
-                if (Date.now() - gameState.timestamp < 24 * 60 * 60 * 1000) {
-                    this.score = gameState.score || 0;
-                    this.level = gameState.level || 1;
-                    this.moves = gameState.moves || 30;
-                    this.goal = gameState.goal || 200;
-                    this.gameState = gameState.gameState || 'playing';
-                    this.selectedTile = gameState.selectedTile || null;
-                    this.isProcessing = gameState.isProcessing || false;
-                    
-                    // Load level configuration for the saved level
-                    this.loadLevel(this.level);
-                    
-                    if (gameState.board && this.board) {
-                        this.board.grid = gameState.board;
-                    }
-                    
-                    return true;
-                }
+            this.gameMode = saved.gameMode;
+            this.loadLevel(saved.level, saved.seed);
+            const previous = { score: this.score, moves: this.moves };
+            this.engine.setState(saved.engine);
+            this.announceChanges(previous);
+            this.powerUps = { ...this.powerUps, ...saved.powerUps };
+            this.moveHistory = saved.moveHistory;
+            this.gameState = 'playing';
+            this.selectedTile = null;
+            this.isProcessing = false;
+            this.activePowerUp = null;
+            
+            this.timeLeft = saved.timeLeft;
+            if (this.timeLeft > 0) {
+                this.startTimer();
+            } else {
+                this.stopTimer();
             }
+            
+            console.log(`Continuing level ${this.level} with ${this.moves} moves left`);
+            return true;
         } catch (e) {
             console.warn('Error loading game state:', e);
+            this.clearSavedGame();
+            return false;
         }
-        return false;
     }
 
     /**
@@ -0,0 +1,199 @@
+/**
+ * Headless.js - Runs the game engine under Node, with no browser or DOM
+ * Useful for tests, balancing simulations and checking submitted scores on a server.
+ *
+ *   node js/headless.js [pack.json] [level] [seed]
+ *
+ * plays a level from a pack with a greedy player and prints the outcome as JSON.
+ *
+ *   node js/headless.js [pack.json] --check [seed ...]
+ *
+ * plays every level of a pack from each seed and fails if the player can't finish one of them.
+ * Required as a module it exposes loadPack(), createEngine(), replay(), simulate() and checkPack()
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The engine's classes find each other as globals, just like the browser's script tags
+global.SeededRandom = require('./random');
+global.ObjectiveTracker = require('./objectives');
+global.GameBoard = require('./board');
+global.MatchDetector = require('./match');
+const { LevelLoader } = require('./levels');
+const GameEngine = require('./engine');
+
+/**
+ * Load and validate a level pack file into level configs
+ */
+function loadPack(file) {
+    return new LevelLoader().loadPack(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Create an engine with a level loaded
+ * seed defaults to the level's own seed, or 1
+ */
+function createEngine(config, seed = config.seed ?? 1) {
+    const engine = new GameEngine(new SeededRandom(seed));
+    engine.loadLevel(config, seed);
+    return engine;
+}
+
+/**
+ * Replay a list of swaps ({ pos1, pos2 }) from the start of a level
+ * Stops at the first invalid swap or once the level is decided
+ * Returns { valid, invalidAt, played, score, moves, outcome, objectives }
+ */
+function replay(config, seed, swaps) {
+    const engine = createEngine(config, seed);
+    let outcome = null;
+    let played = 0;
+
+    for (const swap of swaps) {
+        if (outcome) break;
+
+        const result = engine.step(swap.pos1, swap.pos2);
+        if (!result.valid) {
+            return { ...summarize(engine, outcome, played), valid: false, invalidAt: played };
+        }
+        outcome = result.outcome;
+        played++;
+    }
+
+    return { ...summarize(engine, outcome, played), valid: true, invalidAt: null };
+}
+
+/**
+ * Play a level until it is won or lost
+ * chooseMove(engine, moves) picks one of the board's possible moves; the default
+ * takes whichever scores most this turn
+ * Returns { played, score, moves, outcome, objectives, swaps }
+ */
+function simulate(config, seed, chooseMove = greedyMove, maxMoves = 1000) {
+    const engine = createEngine(config, seed);
+    const swaps = [];
+    let outcome = null;
+
+    while (!outcome && swaps.length < maxMoves) {
+        const moves = engine.board.getPossibleMoves();
+        if (moves.length === 0) break;
+
+        const move = chooseMove(engine, moves);
+        outcome = engine.step(move.pos1, move.pos2).outcome;
+        swaps.push({ pos1: move.pos1, pos2: move.pos2 });
+    }
+
+    return { ...summarize(engine, outcome, swaps.length), swaps };
+}
+
+/**
+ * Pick the move that does most for the level, trying each one and rolling it back
+ * Winning comes first, then objective progress, then bringing ingredients closer
+ * to the bottom, then score
+ */
+function greedyMove(engine, moves) {
+    let best = moves[0];
+    let bestValue = null;
+
+    for (const move of moves) {
+        const state = engine.getState();
+        const result = engine.step(move.pos1, move.pos2);
+        const value = [
+            result.outcome === 'levelComplete' ? 1 : 0,
+            engine.objectives.getCompletion(),
+            ingredientDepth(engine.board),
+            result.score
+        ];
+        engine.setState(state);
+
+        if (!bestValue || isBetter(value, bestValue)) {
+            best = move;
+            bestValue = value;
+        }
+    }
+    return best;
+}
+
+/**
+ * Play every level in a pack from each seed with the greedy player
+ * A level counts as completable if any seed is won; the greedy player only looks one
+ * move ahead, so it can lose a level a person would win
+ * Returns [{ level, name, wins, outcomes, completable }]
+ */
+function checkPack(configs, seeds = [1, 2, 3, 42, 999]) {
+    return configs.map((config, index) => {
+        const outcomes = seeds.map(seed => simulate(config, seed).outcome);
+        const wins = outcomes.filter(outcome => outcome === 'levelComplete').length;
+        return { level: index + 1, name: config.name, wins, outcomes, completable: wins > 0 };
+    });
+}
+
+/**
+ * Compare two lists of values, the first difference deciding
+ */
+function isBetter(value, other) {
+    const index = value.findIndex((item, i) => item !== other[i]);
+    return index !== -1 && value[index] > other[index];
+}
+
+/**
+ * Add up how far down the board its ingredients are
+ * Ingredients moved out of the exit columns count for nothing, as they can't leave from there
+ */
+function ingredientDepth(board) {
+    let depth = 0;
+    for (let row = 0; row < board.rows; row++) {
+        for (let col = 0; col < board.cols; col++) {
+            if (board.isIngredient(row, col) && board.isExit(board.rows - 1, col)) {
+                depth += row + 1;
+            }
+        }
+    }
+    return depth;
+}
+
+/**
+ * Describe where a level stands
+ */
+function summarize(engine, outcome, played) {
+    return {
+        played,
+        score: engine.score,
+        moves: engine.moves,
+        outcome,
+        objectives: engine.objectives.getProgress().map(objective => ({
+            type: objective.type,
+            current: objective.current,
+            target: objective.target,
+            complete: objective.complete
+        }))
+    };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const file = args[0] || path.join(__dirname, '..', 'levels', 'sample-pack.json');
+    const levelNumber = parseInt(args[1] || '1', 10);
+
+    const configs = loadPack(file);
+
+    if (process.argv.includes('--check')) {
+        const seeds = args.slice(1).map(seed => parseInt(seed, 10));
+        const results = checkPack(configs, seeds.length > 0 ? seeds : undefined);
+        process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+        process.exit(results.every(result => result.completable) ? 0 : 1);
+    }
+
+    const config = configs[levelNumber - 1];
+    if (!config) {
+        process.stderr.write(`Level ${levelNumber} not found; the pack has ${configs.length} levels\n`);
+        process.exit(1);
+    }
+
+    const seed = args[2] !== undefined ? parseInt(args[2], 10) : config.seed ?? 1;
+    const { swaps, ...result } = simulate(config, seed);
+    process.stdout.write(JSON.stringify({ level: levelNumber, name: config.name, seed, ...result }, null, 2) + '\n');
+}
+
+module.exports = { GameEngine, loadPack, createEngine, replay, simulate, greedyMove, checkPack };
@@ -0,0 +1,890 @@
+/**
+ * Levels.js - Loads and validates hand-authored JSON level files
+ * Turns designer level data into the config objects consumed by EmojiCrushGame.loadLevel()
+ */
+
+/**
+ * Error thrown when a level file fails validation
+ * `errors` holds one human-readable message per problem found
+ */
+class LevelValidationError extends Error {
+    constructor(errors, source = 'level') {
+        super(`Invalid ${source}:\n - ${errors.join('\n - ')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+class LevelLoader {
+    constructor(defaultEmojis = ['🍎', '🍌', '🍇', '🍓', '🍒', '🥝', '🍑', '🍍']) {
+        this.defaultEmojis = defaultEmojis;
+        this.minBoardSize = 3;
+        this.maxBoardSize = 12;
+        this.maskCells = {
+            '#': true,
+            '.': false
+        };
+        this.blockerCells = {
+            '.': null,
+            'i': { type: 'ice', hits: 1 },
+            'I': { type: 'ice', hits: 2 },
+            'S': { type: 'stone', hits: 1 },
+            'C': { type: 'chocolate', hits: 1 },
+            'L': { type: 'cage', hits: 1 }
+        };
+        this.jellyCells = {
+            '.': 0,
+            'j': 1,
+            'J': 2
+        };
+        this.gravityCells = {
+            'v': 'down',
+            '^': 'up',
+            '<': 'left',
+            '>': 'right'
+        };
+        // The edge new tiles enter a cell through, for each gravity direction
+        this.gravityEdges = {
+            down: 'top',
+            up: 'bottom',
+            left: 'right',
+            right: 'left'
+        };
+        // A level can't ask for progress the game doesn't track
+        this.objectiveTypes = ObjectiveTracker.getTrackedTypes();
+        this.blockerTypes = ['ice', 'stone', 'chocolate', 'cage'];
+        this.specialTypes = ['striped', 'bomb', 'rainbow', 'fluttery'];
+        this.ingredientDefaults = {
+            maxOnBoard: 1,
+            spawnChance: 0.15
+        };
+        this.timerBombDefaults = {
+            countdown: 9,
+            spawnChance: 0.05,
+            maxOnBoard: 1
+        };
+        this.minColors = 4;
+        this.maxColors = 8;
+    }
+
+    /**
+     * Parse a level from a JSON string or an already-parsed object
+     */
+    parse(source) {
+        if (typeof source !== 'string') {
+            return source;
+        }
+
+        try {
+            return JSON.parse(source);
+        } catch (e) {
+            throw new LevelValidationError([`file is not valid JSON (${e.message})`]);
+        }
+    }
+
+    /**
+     * Load a single level and convert it to a level config
+     */
+    load(source) {
+        const data = this.parse(source);
+        const errors = this.validate(data);
+
+        if (errors.length > 0) {
+            throw new LevelValidationError(errors, this.describe(data));
+        }
+
+        return this.toConfig(data);
+    }
+
+    /**
+     * Load a level pack: either an array of levels or { levels: [...] }
+     */
+    loadPack(source) {
+        const data = this.parse(source);
+        const levels = Array.isArray(data) ? data : data && data.levels;
+
+        if (!Array.isArray(levels) || levels.length === 0) {
+            throw new LevelValidationError(['pack must be a non-empty array of levels or { "levels": [...] }'], 'level pack');
+        }
+
+        const errors = [];
+        levels.forEach((level, index) => {
+            this.validate(level).forEach(error => {
+                errors.push(`${this.describe(level, index)}: ${error}`);
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new LevelValidationError(errors, 'level pack');
+        }
+
+        return levels.map((level, index) => this.toConfig(level, index + 1));
+    }
+
+    /**
+     * Fetch and load a level pack from a URL
+     */
+    async fetchPack(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load level pack ${url}: HTTP ${response.status}`);
+        }
+        return this.loadPack(await response.text());
+    }
+
+    /**
+     * Name a level for error messages
+     */
+    describe(level, index = null) {
+        if (level && Number.isInteger(level.level)) {
+            return `level ${level.level}`;
+        }
+        return index === null ? 'level' : `level #${index + 1}`;
+    }
+
+    /**
+     * Validate level data, returning a list of error messages (empty when valid)
+     */
+    validate(level) {
+        const errors = [];
+
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return ['level must be a JSON object'];
+        }
+
+        if (level.level !== undefined && (!Number.isInteger(level.level) || level.level < 1)) {
+            errors.push('"level" must be a positive integer');
+        }
+
+        if (level.seed !== undefined && (!Number.isInteger(level.seed) || level.seed < 0)) {
+            errors.push('"seed" must be a non-negative integer');
+        }
+
+        if (!Number.isInteger(level.moves) || level.moves < 1) {
+            errors.push('"moves" must be a positive integer');
+        }
+
+        if (level.timeLimit !== undefined && level.timeLimit !== null &&
+            (!Number.isInteger(level.timeLimit) || level.timeLimit < 1)) {
+            errors.push('"timeLimit" must be a positive number of seconds or null');
+        }
+
+        const emojis = level.emojis === undefined ? this.defaultEmojis : level.emojis;
+        if (!Array.isArray(emojis) || emojis.length < 3 ||
+            emojis.some(emoji => typeof emoji !== 'string' || emoji.length === 0)) {
+            errors.push('"emojis" must be an array of at least 3 emoji strings');
+        } else if (new Set(emojis).size !== emojis.length) {
+            errors.push('"emojis" must not contain duplicates');
+        }
+
+        const palette = this.getPalette(Array.isArray(emojis) ? emojis : [], level.spawn);
+        this.validateBoard(level.board, palette, errors);
+        this.validateObjectives(level.objectives, emojis, errors);
+        this.validateIngredients(level, errors);
+        this.validateOpening(level.opening, errors);
+        this.validateTimerBombs(level.timerBombs, errors);
+        this.validateSpawn(level, emojis, palette, errors);
+        this.validateStarThresholds(level.starThresholds, errors);
+
+        return errors;
+    }
+
+    /**
+     * Get the emojis a level actually spawns: the first "spawn.colors" of its set
+     */
+    getPalette(emojis, spawn) {
+        const colors = spawn && Number.isInteger(spawn.colors) ? spawn.colors : emojis.length;
+        return emojis.slice(0, colors);
+    }
+
+    /**
+     * Get board dimensions; "size" is shorthand for a square board
+     */
+    getDimensions(board = {}) {
+        const size = board.size === undefined ? 8 : board.size;
+        return {
+            rows: board.rows === undefined ? size : board.rows,
+            cols: board.cols === undefined ? size : board.cols
+        };
+    }
+
+    /**
+     * Validate board size, mask and starting layout
+     */
+    validateBoard(board, emojis, errors) {
+        if (board === undefined) return;
+
+        if (!board || typeof board !== 'object') {
+            errors.push('"board" must be an object');
+            return;
+        }
+
+        if (board.size !== undefined && (board.rows !== undefined || board.cols !== undefined)) {
+            errors.push('"board" must use either "size" or "rows"/"cols", not both');
+            return;
+        }
+
+        const { rows, cols } = this.getDimensions(board);
+        const dimensionErrors = errors.length;
+        [['size', board.size], ['rows', rows], ['cols', cols]].forEach(([name, value]) => {
+            if (value !== undefined &&
+                (!Number.isInteger(value) || value < this.minBoardSize || value > this.maxBoardSize)) {
+                errors.push(`"board.${name}" must be an integer from ${this.minBoardSize} to ${this.maxBoardSize}`);
+            }
+        });
+        if (errors.length > dimensionErrors) return;
+
+        const mapErrors = errors.length;
+        this.validateCellMap(board.mask, rows, cols, 'board.mask', this.maskCells, errors);
+        this.validateCellMap(board.blockers, rows, cols, 'board.blockers', this.blockerCells, errors);
+        this.validateCellMap(board.jelly, rows, cols, 'board.jelly', this.jellyCells, errors);
+
+        // Blockers and jelly can't sit on void cells
+        const mask = this.parseCellMap(board.mask, this.maskCells);
+        const blockers = this.parseCellMap(board.blockers, this.blockerCells);
+        const jelly = this.parseCellMap(board.jelly, this.jellyCells);
+        if (mask && errors.length === mapErrors) {
+            mask.forEach((row, r) => row.forEach((playable, c) => {
+                if (playable) return;
+                if (blockers && blockers[r][c]) {
+                    errors.push(`"board.blockers" cell ${r},${c} has ${blockers[r][c].type} on a void cell`);
+                }
+                if (jelly && jelly[r][c]) {
+                    errors.push(`"board.jelly" cell ${r},${c} has jelly on a void cell`);
+                }
+            }));
+        }
+
+        const movementErrors = errors.length;
+        this.validateGravity(board, rows, cols, mask, errors);
+        this.validateSpawners(board, rows, cols, mask, errors);
+        this.validatePortals(board, rows, cols, mask, errors);
+        this.validateConveyors(board, rows, cols, mask, errors);
+        if (errors.length === movementErrors) {
+            this.validateGravityLoops(board, rows, cols, mask, errors);
+        }
+
+        if (board.layout !== undefined) {
+            this.validateGrid(board.layout, rows, cols, 'board.layout', errors, (row, r) => {
+                if (!Array.isArray(row)) {
+                    errors.push(`"board.layout" row ${r} must be an array of emojis or null`);
+                    return false;
+                }
+                row.forEach((emoji, c) => {
+                    if (emoji !== null && !emojis.includes(emoji)) {
+                        errors.push(`"board.layout" cell ${r},${c} is "${emoji}", which is not in the level's palette`);
+                    }
+                });
+                return row;
+            });
+        }
+    }
+
+    /**
+     * Validate a map of one character per cell, e.g. ["#..#", ...]
+     */
+    validateCellMap(map, rows, cols, name, legend, errors) {
+        if (map === undefined) return;
+
+        const symbols = Object.keys(legend);
+        this.validateGrid(map, rows, cols, name, errors, (row, r) => {
+            if (typeof row !== 'string') {
+                errors.push(`"${name}" row ${r} must be a string`);
+                return false;
+            }
+            const cells = [...row];
+            const invalid = cells.find(cell => !symbols.includes(cell));
+            if (invalid !== undefined) {
+                errors.push(`"${name}" row ${r} contains "${invalid}"; allowed: ${symbols.map(symbol => `"${symbol}"`).join(', ')}`);
+                return false;
+            }
+            return cells;
+        });
+    }
+
+    /**
+     * Validate the gravity direction or per-cell gravity map
+     */
+    validateGravity(board, rows, cols, mask, errors) {
+        if (board.gravity === undefined) return;
+
+        const directions = Object.values(this.gravityCells);
+        if (typeof board.gravity === 'string') {
+            if (!directions.includes(board.gravity)) {
+                errors.push(`"board.gravity" must be one of: ${directions.join(', ')}, or one string per row`);
+            }
+            return;
+        }
+
+        this.validateCellMap(board.gravity, rows, cols, 'board.gravity', this.gravityCells, errors);
+    }
+
+    /**
+     * Check that following gravity (and portals) from any cell leads off the board,
+     * or tiles would circle forever
+     */
+    validateGravityLoops(board, rows, cols, mask, errors) {
+        const gravity = this.getGravityMap(board, rows, cols);
+        const portals = Array.isArray(board.portals) ? board.portals : [];
+        if (!gravity && portals.length === 0) return;
+
+        const steps = { down: [1, 0], up: [-1, 0], left: [0, -1], right: [0, 1] };
+        const isPlayable = (r, c) => !mask || !mask[r] || mask[r][c] !== false;
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const seen = new Set();
+                let row = r;
+                let col = c;
+                while (row >= 0 && row < rows && col >= 0 && col < cols) {
+                    if (isPlayable(row, col)) {
+                        if (seen.has(`${row},${col}`)) {
+                            errors.push(`tiles falling from cell ${r},${c} loop forever; check "board.gravity" and "board.portals"`);
+                            return;
+                        }
+                        seen.add(`${row},${col}`);
+
+                        const portal = portals.find(({ entrance }) => entrance.row === row && entrance.col === col);
+                        if (portal) {
+                            ({ row, col } = portal.exit);
+                            continue;
+                        }
+                    }
+
+                    const [dr, dc] = steps[gravity ? gravity[row][col] : 'down'];
+                    row += dr;
+                    col += dc;
+                }
+            }
+        }
+    }
+
+    /**
+     * Validate spawner cells and the edges tiles enter them through
+     */
+    validateSpawners(board, rows, cols, mask, errors) {
+        if (board.spawners === undefined) return;
+
+        if (!Array.isArray(board.spawners)) {
+            errors.push('"board.spawners" must be an array of { "row", "col", "edge" }');
+            return;
+        }
+
+        const edges = Object.values(this.gravityEdges);
+        const cells = new Set();
+        board.spawners.forEach((spawner, index) => {
+            const name = `board.spawners[${index}]`;
+            if (!this.validateCell(spawner, name, rows, cols, mask, errors)) return;
+
+            if (spawner.edge !== undefined && !edges.includes(spawner.edge)) {
+                errors.push(`"${name}.edge" must be one of: ${edges.join(', ')}`);
+            }
+
+            const key = `${spawner.row},${spawner.col}`;
+            if (cells.has(key)) {
+                errors.push(`"${name}" repeats cell ${key}`);
+            }
+            cells.add(key);
+        });
+    }
+
+    /**
+     * Validate portal pairs: each entrance and each exit is used once
+     */
+    validatePortals(board, rows, cols, mask, errors) {
+        if (board.portals === undefined) return;
+
+        if (!Array.isArray(board.portals)) {
+            errors.push('"board.portals" must be an array of { "entrance", "exit" }');
+            return;
+        }
+
+        const entrances = new Set();
+        const exits = new Set();
+        board.portals.forEach((portal, index) => {
+            const name = `board.portals[${index}]`;
+            if (!portal || typeof portal !== 'object') {
+                errors.push(`"${name}" must be an object with "entrance" and "exit" cells`);
+                return;
+            }
+
+            const entranceValid = this.validateCell(portal.entrance, `${name}.entrance`, rows, cols, mask, errors);
+            const exitValid = this.validateCell(portal.exit, `${name}.exit`, rows, cols, mask, errors);
+            if (!entranceValid || !exitValid) return;
+
+            const entrance = `${portal.entrance.row},${portal.entrance.col}`;
+            const exit = `${portal.exit.row},${portal.exit.col}`;
+            if (entrance === exit) {
+                errors.push(`"${name}" leads from cell ${entrance} back to itself`);
+            }
+            if (entrances.has(entrance)) {
+                errors.push(`"${name}.entrance" repeats cell ${entrance}`);
+            }
+            if (exits.has(exit)) {
+                errors.push(`"${name}.exit" repeats cell ${exit}`);
+            }
+            entrances.add(entrance);
+            exits.add(exit);
+        });
+    }
+
+    /**
+     * Validate conveyor belts: each is a path of side-by-side cells, and no cell is on two belts
+     */
+    validateConveyors(board, rows, cols, mask, errors) {
+        if (board.conveyors === undefined) return;
+
+        if (!Array.isArray(board.conveyors)) {
+            errors.push('"board.conveyors" must be an array of { "path" }');
+            return;
+        }
+
+        const cells = new Set();
+        board.conveyors.forEach((conveyor, index) => {
+            const name = `board.conveyors[${index}].path`;
+            if (!conveyor || !Array.isArray(conveyor.path) || conveyor.path.length < 2) {
+                errors.push(`"${name}" must be an array of at least 2 cells`);
+                return;
+            }
+
+            conveyor.path.forEach((cell, i) => {
+                if (!this.validateCell(cell, `${name}[${i}]`, rows, cols, mask, errors)) return;
+
+                const key = `${cell.row},${cell.col}`;
+                if (cells.has(key)) {
+                    errors.push(`"${name}[${i}]" repeats cell ${key}`);
+                }
+                cells.add(key);
+
+                const previous = conveyor.path[i - 1];
+                if (i > 0 && previous && Math.abs(previous.row - cell.row) + Math.abs(previous.col - cell.col) !== 1) {
+                    errors.push(`"${name}[${i}]" is not next to the cell before it`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check a { row, col } cell is on the board and playable, reporting an error if not
+     */
+    validateCell(cell, name, rows, cols, mask, errors) {
+        if (!cell || typeof cell !== 'object' ||
+            !Number.isInteger(cell.row) || cell.row < 0 || cell.row >= rows ||
+            !Number.isInteger(cell.col) || cell.col < 0 || cell.col >= cols) {
+            errors.push(`"${name}" must have a "row" from 0 to ${rows - 1} and a "col" from 0 to ${cols - 1}`);
+            return false;
+        }
+
+        if (mask && mask[cell.row] && mask[cell.row][cell.col] === false) {
+            errors.push(`"${name}" is on void cell ${cell.row},${cell.col}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the full per-cell gravity map, or null when everything falls down
+     */
+    getGravityMap(board, rows, cols) {
+        if (typeof board.gravity === 'string') {
+            return Array.from({ length: rows }, () => new Array(cols).fill(board.gravity));
+        }
+        return this.parseCellMap(board.gravity, this.gravityCells);
+    }
+
+    /**
+     * Convert a cell map to a grid of legend values, or null when absent
+     */
+    parseCellMap(map, legend) {
+        if (!Array.isArray(map)) return null;
+
+        return map.map(row => [...String(row)].map(cell => {
+            const value = legend[cell];
+            return value && typeof value === 'object' ? { ...value } : value;
+        }));
+    }
+
+    /**
+     * Check a per-cell grid has the board's dimensions
+     * `readRow` returns the row's cells, or false after reporting an error
+     */
+    validateGrid(grid, rows, cols, name, errors, readRow) {
+        if (!Array.isArray(grid) || grid.length !== rows) {
+            errors.push(`"${name}" must have ${rows} rows`);
+            return;
+        }
+
+        grid.forEach((row, r) => {
+            const cells = readRow(row, r);
+            if (cells && cells.length !== cols) {
+                errors.push(`"${name}" row ${r} has ${cells.length} cells, expected ${cols}`);
+            }
+        });
+    }
+
+    /**
+     * Validate the objectives list
+     * emojis is the level's emoji set, which collect objectives must pick from
+     */
+    validateObjectives(objectives, emojis, errors) {
+        if (!Array.isArray(objectives) || objectives.length === 0) {
+            errors.push('"objectives" must be a non-empty array');
+            return;
+        }
+
+        objectives.forEach((objective, index) => {
+            const name = `objectives[${index}]`;
+
+            if (!objective || !this.objectiveTypes.includes(objective.type)) {
+                errors.push(`"${name}.type" must be one of: ${this.objectiveTypes.join(', ')}`);
+                return;
+            }
+
+            switch (objective.type) {
+                case 'score':
+                    if (!Number.isInteger(objective.target) || objective.target < 1) {
+                        errors.push(`"${name}.target" must be a positive integer`);
+                    }
+                    break;
+
+                case 'collect':
+                    if (typeof objective.emoji !== 'string' || objective.emoji.length === 0) {
+                        errors.push(`"${name}.emoji" must be an emoji string`);
+                    } else if (Array.isArray(emojis) && !emojis.includes(objective.emoji)) {
+                        errors.push(`"${name}.emoji" is "${objective.emoji}", which is not in the level's palette`);
+                    }
+                    break;
+
+                case 'createSpecial':
+                    if (objective.special !== undefined && !this.specialTypes.includes(objective.special)) {
+                        errors.push(`"${name}.special" must be one of: ${this.specialTypes.join(', ')}`);
+                    }
+                    break;
+
+                case 'blockers':
+                    if (objective.blocker !== undefined && !this.blockerTypes.includes(objective.blocker)) {
+                        errors.push(`"${name}.blocker" must be one of: ${this.blockerTypes.join(', ')}`);
+                    }
+                    break;
+            }
+
+            // Blocker and jelly objectives default to everything of that kind on the board
+            const countOptional = ['blockers', 'jelly'].includes(objective.type) && objective.count === undefined;
+            if (objective.type !== 'score' && !countOptional &&
+                (!Number.isInteger(objective.count) || objective.count < 1)) {
+                errors.push(`"${name}.count" must be a positive integer`);
+            }
+        });
+    }
+
+    /**
+     * Validate ingredient spawning and exit columns
+     */
+    validateIngredients(level, errors) {
+        const ingredients = level.ingredients;
+        const objective = Array.isArray(level.objectives) ?
+            level.objectives.find(objective => objective && objective.type === 'ingredients') : null;
+
+        if (ingredients === undefined) {
+            if (objective) {
+                errors.push('"ingredients" is required by an ingredients objective');
+            }
+            return;
+        }
+
+        if (!ingredients || typeof ingredients !== 'object' || Array.isArray(ingredients)) {
+            errors.push('"ingredients" must be an object');
+            return;
+        }
+
+        if (!Array.isArray(ingredients.emojis) || ingredients.emojis.length === 0 ||
+            ingredients.emojis.some(emoji => typeof emoji !== 'string' || emoji.length === 0)) {
+            errors.push('"ingredients.emojis" must be a non-empty array of emoji strings');
+        }
+
+        if (ingredients.total === undefined) {
+            if (!objective) {
+                errors.push('"ingredients.total" is required when there is no ingredients objective');
+            }
+        } else if (!Number.isInteger(ingredients.total) || ingredients.total < 1) {
+            errors.push('"ingredients.total" must be a positive integer');
+        } else if (objective && Number.isInteger(objective.count) && ingredients.total < objective.count) {
+            errors.push(`"ingredients.total" must be at least the objective count (${objective.count})`);
+        }
+
+        if (ingredients.maxOnBoard !== undefined &&
+            (!Number.isInteger(ingredients.maxOnBoard) || ingredients.maxOnBoard < 1)) {
+            errors.push('"ingredients.maxOnBoard" must be a positive integer');
+        }
+
+        if (ingredients.spawnChance !== undefined &&
+            (typeof ingredients.spawnChance !== 'number' || ingredients.spawnChance <= 0 || ingredients.spawnChance > 1)) {
+            errors.push('"ingredients.spawnChance" must be a number above 0 and at most 1');
+        }
+
+        // Exits sit on the bottom row, which must be playable in those columns
+        const { rows, cols } = this.getDimensions(level.board);
+        const mask = this.parseCellMap(level.board && level.board.mask, this.maskCells);
+        const bottomRow = mask && mask[rows - 1];
+
+        if (ingredients.exits === undefined) {
+            // Every playable bottom-row cell is an exit, so there has to be one
+            if (bottomRow && !bottomRow.includes(true)) {
+                errors.push('"ingredients" needs an exit, but the bottom row of "board.mask" is all void cells');
+            }
+            return;
+        }
+
+        if (!Array.isArray(ingredients.exits) || ingredients.exits.length === 0 ||
+            ingredients.exits.some(col => !Number.isInteger(col) || col < 0 || col >= cols)) {
+            errors.push(`"ingredients.exits" must be a non-empty array of columns from 0 to ${cols - 1}`);
+            return;
+        }
+
+        ingredients.exits.forEach(col => {
+            if (bottomRow && bottomRow[col] === false) {
+                errors.push(`"ingredients.exits" column ${col} is a void cell on the bottom row`);
+            }
+        });
+    }
+
+    /**
+     * Validate the opening board requirements
+     */
+    validateOpening(opening, errors) {
+        if (opening === undefined) return;
+
+        if (!opening || typeof opening !== 'object' || Array.isArray(opening)) {
+            errors.push('"opening" must be an object');
+            return;
+        }
+
+        if (opening.minMoves !== undefined && (!Number.isInteger(opening.minMoves) || opening.minMoves < 1)) {
+            errors.push('"opening.minMoves" must be a positive integer');
+        }
+
+        if (opening.specialMoves !== undefined && (!Number.isInteger(opening.specialMoves) || opening.specialMoves < 0)) {
+            errors.push('"opening.specialMoves" must be a non-negative integer');
+        }
+    }
+
+    /**
+     * Validate the palette size, spawn weights and spawned special chances
+     */
+    validateSpawn(level, emojis, palette, errors) {
+        const spawn = level.spawn;
+        if (spawn === undefined) return;
+
+        if (!spawn || typeof spawn !== 'object' || Array.isArray(spawn)) {
+            errors.push('"spawn" must be an object');
+            return;
+        }
+
+        if (spawn.colors !== undefined) {
+            const available = Array.isArray(emojis) ? emojis.length : this.maxColors;
+            const max = Math.min(this.maxColors, available);
+            if (!Number.isInteger(spawn.colors) || spawn.colors < this.minColors || spawn.colors > max) {
+                errors.push(`"spawn.colors" must be an integer from ${this.minColors} to ${max}`);
+            }
+        }
+
+        // A collect objective needs its emoji to keep spawning
+        if (Array.isArray(level.objectives)) {
+            level.objectives.forEach(objective => {
+                if (objective && objective.type === 'collect' && typeof objective.emoji === 'string' &&
+                    Array.isArray(emojis) && emojis.includes(objective.emoji) && !palette.includes(objective.emoji)) {
+                    errors.push(`collect objective emoji "${objective.emoji}" is not among the first ${palette.length} emojis kept by "spawn.colors"`);
+                }
+            });
+        }
+
+        this.validateWeights(spawn.weights, 'spawn.weights', palette, errors);
+
+        if (spawn.columns !== undefined) {
+            const { cols } = this.getDimensions(level.board);
+            if (!spawn.columns || typeof spawn.columns !== 'object' || Array.isArray(spawn.columns)) {
+                errors.push('"spawn.columns" must be an object keyed by column');
+            } else {
+                Object.entries(spawn.columns).forEach(([col, weights]) => {
+                    const index = Number(col);
+                    if (!Number.isInteger(index) || index < 0 || index >= cols) {
+                        errors.push(`"spawn.columns" key "${col}" must be a column from 0 to ${cols - 1}`);
+                        return;
+                    }
+                    this.validateWeights(weights, `spawn.columns.${col}`, palette, errors);
+                });
+            }
+        }
+
+        if (spawn.specials !== undefined) {
+            if (!spawn.specials || typeof spawn.specials !== 'object' || Array.isArray(spawn.specials)) {
+                errors.push('"spawn.specials" must be an object');
+                return;
+            }
+            Object.entries(spawn.specials).forEach(([type, chance]) => {
+                if (!this.specialTypes.includes(type)) {
+                    errors.push(`"spawn.specials" key "${type}" must be one of: ${this.specialTypes.join(', ')}`);
+                } else if (typeof chance !== 'number' || chance < 0 || chance > 1) {
+                    errors.push(`"spawn.specials.${type}" must be a number from 0 to 1`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate an emoji-to-weight map against the palette
+     */
+    validateWeights(weights, name, palette, errors) {
+        if (weights === undefined) return;
+
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+            errors.push(`"${name}" must be an object of emoji weights`);
+            return;
+        }
+
+        Object.entries(weights).forEach(([emoji, weight]) => {
+            if (!palette.includes(emoji)) {
+                errors.push(`"${name}" has "${emoji}", which is not in the level's palette`);
+            } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                errors.push(`"${name}.${emoji}" must be a non-negative number`);
+            }
+        });
+    }
+
+    /**
+     * Validate timer bomb countdown and spawning
+     */
+    validateTimerBombs(timerBombs, errors) {
+        if (timerBombs === undefined) return;
+
+        if (!timerBombs || typeof timerBombs !== 'object' || Array.isArray(timerBombs)) {
+            errors.push('"timerBombs" must be an object');
+            return;
+        }
+
+        if (timerBombs.countdown !== undefined && (!Number.isInteger(timerBombs.countdown) || timerBombs.countdown < 1)) {
+            errors.push('"timerBombs.countdown" must be a positive integer');
+        }
+
+        if (timerBombs.spawnChance !== undefined &&
+            (typeof timerBombs.spawnChance !== 'number' || timerBombs.spawnChance <= 0 || timerBombs.spawnChance > 1)) {
+            errors.push('"timerBombs.spawnChance" must be a number above 0 and at most 1');
+        }
+
+        if (timerBombs.maxOnBoard !== undefined &&
+            (!Number.isInteger(timerBombs.maxOnBoard) || timerBombs.maxOnBoard < 1)) {
+            errors.push('"timerBombs.maxOnBoard" must be a positive integer');
+        }
+    }
+
+    /**
+     * Validate star thresholds are ascending scores
+     */
+    validateStarThresholds(thresholds, errors) {
+        if (thresholds === undefined) return;
+
+        const keys = ['one', 'two', 'three'];
+        if (!thresholds || keys.some(key => !Number.isInteger(thresholds[key]) || thresholds[key] < 0)) {
+            errors.push('"starThresholds" must have non-negative integer "one", "two" and "three" scores');
+            return;
+        }
+
+        if (thresholds.one > thresholds.two || thresholds.two > thresholds.three) {
+            errors.push('"starThresholds" must satisfy one <= two <= three');
+        }
+    }
+
+    /**
+     * Convert validated level data into a level config
+     */
+    toConfig(level, fallbackNumber = 1) {
+        const board = level.board || {};
+        const { rows, cols } = this.getDimensions(board);
+        const scoreObjective = level.objectives.find(objective => objective.type === 'score');
+        const goal = scoreObjective ? scoreObjective.target :
+            level.starThresholds ? level.starThresholds.three : 0;
+        const timeLimit = level.timeLimit || null;
+        const jelly = this.parseCellMap(board.jelly, this.jellyCells);
+        const gravity = this.getGravityMap(board, rows, cols);
+        const objectives = level.objectives.map(objective => ({ ...objective }));
+
+        // A board with jelly is only finished once all of it is gone
+        if (jelly && jelly.some(row => row.some(layers => layers > 0)) &&
+            !objectives.some(objective => objective.type === 'jelly')) {
+            objectives.push({ type: 'jelly' });
+        }
+
+        const ingredientObjective = objectives.find(objective => objective.type === 'ingredients');
+        const ingredients = level.ingredients ? {
+            emojis: [...level.ingredients.emojis],
+            total: level.ingredients.total || ingredientObjective.count,
+            maxOnBoard: level.ingredients.maxOnBoard || this.ingredientDefaults.maxOnBoard,
+            spawnChance: level.ingredients.spawnChance || this.ingredientDefaults.spawnChance,
+            exits: level.ingredients.exits ? [...level.ingredients.exits] : null
+        } : null;
+
+        return {
+            level: level.level || fallbackNumber,
+            name: level.name || null,
+            seed: level.seed === undefined ? null : level.seed,
+            goal: goal,
+            moves: level.moves,
+            timeLimit: timeLimit,
+            specialRequirements: timeLimit ? { timeLimit } : {},
+            difficulty: level.difficulty || 'custom',
+            emojis: level.emojis ? [...level.emojis] : null,
+            board: {
+                rows: rows,
+                cols: cols,
+                mask: this.parseCellMap(board.mask, this.maskCells),
+                blockers: this.parseCellMap(board.blockers, this.blockerCells),
+                jelly: jelly,
+                gravity: gravity,
+                spawners: board.spawners ? board.spawners.map(({ row, col, edge }) => ({
+                    row,
+                    col,
+                    edge: edge || this.gravityEdges[gravity ? gravity[row][col] : 'down']
+                })) : null,
+                portals: board.portals ? board.portals.map(({ entrance, exit }) => ({
+                    entrance: { row: entrance.row, col: entrance.col },
+                    exit: { row: exit.row, col: exit.col }
+                })) : null,
+                conveyors: board.conveyors ? board.conveyors.map(conveyor => ({
+                    path: conveyor.path.map(({ row, col }) => ({ row, col }))
+                })) : null,
+                layout: board.layout ? board.layout.map(row => [...row]) : null
+            },
+            ingredients: ingredients,
+            opening: level.opening ? { ...level.opening } : null,
+            timerBombs: level.timerBombs ? { ...this.timerBombDefaults, ...level.timerBombs } : null,
+            spawn: level.spawn ? this.toSpawnTable(level.spawn) : null,
+            objectives: objectives,
+            starThresholds: level.starThresholds ? { ...level.starThresholds } : {
+                one: Math.floor(goal * 0.6),
+                two: Math.floor(goal * 0.8),
+                three: goal
+            }
+        };
+    }
+
+    /**
+     * Copy a validated spawn block into the shape Board.configure() takes
+     */
+    toSpawnTable(spawn) {
+        const columns = {};
+        Object.entries(spawn.columns || {}).forEach(([col, weights]) => {
+            columns[Number(col)] = { ...weights };
+        });
+
+        return {
+            colors: spawn.colors || null,
+            weights: { ...spawn.weights },
+            columns: columns,
+            specials: { ...spawn.specials }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelLoader, LevelValidationError };
+}
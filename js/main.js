@@ -13,7 +13,6 @@ class EmojiCrushApp {
         
         // Bind methods to preserve context
         this.update = this.update.bind(this);
-        this.handleGameEvents = this.handleGameEvents.bind(this);
     }
 
     /**
@@ -30,9 +29,6 @@ class EmojiCrushApp {
             // Initialize UI
             this.ui = new GameUI(this.game);
             
-            // Set up game event handlers
-            this.setupGameEventHandlers();
-            
             // Start the game
             this.game.startNewGame();
             
@@ -55,97 +51,6 @@ class EmojiCrushApp {
         }
     }
 
-    /**
-     * Setup game event handlers
-     */
-    setupGameEventHandlers() {
-        // Listen for game state changes
-        this.originalHandleTileClick = this.game.handleTileClick.bind(this.game);
-        this.game.handleTileClick = (row, col) => {
-            const result = this.originalHandleTileClick(row, col);
-            if (result) {
-                this.handleGameEvents();
-            }
-            return result;
-        };
-
-        // Override game methods to trigger UI updates
-        this.overrideGameMethods();
-    }
-
-    /**
-     * Override game methods to add UI integration
-     */
-    overrideGameMethods() {
-        // Override attemptSwap to add animations
-        const originalAttemptSwap = this.game.attemptSwap.bind(this.game);
-        this.game.attemptSwap = async (pos1, pos2) => {
-            const result = await originalAttemptSwap(pos1, pos2);
-            if (result) {
-                this.ui.updateBoard();
-                this.ui.updateUI();
-            }
-            return result;
-        };
-
-        // Override processCascadingMatches to add animations
-        const originalProcessCascading = this.game.processCascadingMatches.bind(this.game);
-        this.game.processCascadingMatches = async () => {
-            const result = await originalProcessCascading();
-            
-            // Update UI after cascading
-            this.ui.updateBoard();
-            this.ui.updateUI();
-            
-            return result;
-        };
-
-        // Override completeLevel to show modal
-        const originalCompleteLevel = this.game.completeLevel.bind(this.game);
-        this.game.completeLevel = () => {
-            const result = originalCompleteLevel();
-            this.ui.showLevelComplete(result);
-            return result;
-        };
-
-        // Override endGame to show modal
-        const originalEndGame = this.game.endGame.bind(this.game);
-        this.game.endGame = (reason) => {
-            const result = originalEndGame(reason);
-            this.ui.showGameOver(result);
-            return result;
-        };
-    }
-
-    /**
-     * Handle game events and update UI
-     */
-    handleGameEvents() {
-        if (!this.isInitialized) return;
-        
-        const gameState = this.game.getGameState();
-        
-        // Update UI based on game state
-        this.ui.updateBoard();
-        this.ui.updateUI();
-        
-        // Handle special game states
-        switch (gameState.state) {
-            case 'levelComplete':
-                // Level complete is handled in overridden method
-                break;
-            case 'gameOver':
-                // Game over is handled in overridden method
-                break;
-            case 'paused':
-                this.pauseGameLoop();
-                break;
-            case 'playing':
-                this.resumeGameLoop();
-                break;
-        }
-    }
-
     /**
      * Start the game loop
      */
@@ -325,63 +230,86 @@ document.addEventListener('DOMContentLoaded', () => {
         welcomeScreen.style.display = 'flex';
         console.log('Welcome screen shown');
         
-        // Add click event listener to start game button
-        const startGameBtn = document.querySelector('.start-game-btn');
-        if (startGameBtn) {
-            startGameBtn.addEventListener('click', function() {
-                console.log('Starting Fruit Crush game');
-                
-                // Hide welcome screen
-                welcomeScreen.style.display = 'none';
+        // Designers can test a level pack with ?levels=levels/sample-pack.json
+        const levelPack = new URLSearchParams(window.location.search).get('levels');
+        
+        // Start a new game, or continue the saved level when resume is set
+        const startGame = (resume) => {
+            console.log(resume ? 'Continuing Fruit Crush game' : 'Starting Fruit Crush game');
+            
+            // Hide welcome screen
+            welcomeScreen.style.display = 'none';
+            
+            // Show game container
+            const gameContainer = document.getElementById('gameContainer');
+            if (gameContainer) {
+                gameContainer.style.display = 'block';
                 
-                // Show game container
-                const gameContainer = document.getElementById('gameContainer');
-                if (gameContainer) {
-                    gameContainer.style.display = 'block';
-                    
-                    // Initialize game after showing container
-                    setTimeout(() => {
-                        try {
-                            console.log('Initializing game...');
-                            const game = new EmojiCrushGame();
-                            console.log('Game created:', game);
-                            
-                            const ui = new GameUI(game);
-                            console.log('UI created:', ui);
-                            
+                // Initialize game after showing container
+                setTimeout(async () => {
+                    try {
+                        console.log('Initializing game...');
+                        const game = new EmojiCrushGame();
+                        console.log('Game created:', game);
+                        
+                        if (levelPack) {
+                            try {
+                                await game.loadLevelPack(levelPack);
+                                console.log('Loaded level pack:', levelPack);
+                            } catch (error) {
+                                console.error(`Could not use level pack ${levelPack}, falling back to built-in levels.\n${error.message}`);
+                            }
+                        }
+                        
+                        const ui = new GameUI(game);
+                        console.log('UI created:', ui);
+                        
+                        // Fall back to a new game if the save doesn't fit the levels in use
+                        if (!resume || !game.loadSavedGame()) {
                             game.startNewGame('normal');
-                            console.log('Game started, board:', game.board);
-                            
-                            // Initialize UI first
-                            ui.initialize();
-                            console.log('UI initialized');
-                            
-                            // Ensure board is rendered
-                            const boardElement = document.getElementById('game-board');
-                            console.log('Board element:', boardElement);
+                        }
+                        console.log('Game started, board:', game.board);
+                        
+                        // Initialize UI first
+                        ui.initialize();
+                        console.log('UI initialized');
+                        
+                        // Ensure board is rendered
+                        const boardElement = document.getElementById('game-board');
+                        console.log('Board element:', boardElement);
+                        
+                        if (boardElement && game.board && game.board.grid) {
+                            ui.renderBoard();
+                            ui.updateUI();
                             
-                            if (boardElement && game.board && game.board.grid) {
-                                ui.renderBoard();
-                                ui.updateUI();
-                                
-                                // Store UI reference globally for game logic access
-                                window.gameUI = ui;
-                                
-                                console.log('Fruit Crush game started successfully');
-                                console.log('Board grid:', game.board.grid);
-                            } else {
-                                console.error('Board element or game board not found');
-                                console.error('boardElement:', boardElement);
-                                console.error('game.board:', game.board);
-                                console.error('game.board.grid:', game.board?.grid);
-                            }
-                        } catch (error) {
-                            console.error('Error starting game:', error);
-                            console.error('Error stack:', error.stack);
+                            console.log('Fruit Crush game started successfully');
+                            console.log('Board grid:', game.board.grid);
+                        } else {
+                            console.error('Board element or game board not found');
+                            console.error('boardElement:', boardElement);
+                            console.error('game.board:', game.board);
+                            console.error('game.board.grid:', game.board?.grid);
                         }
-                    }, 100);
-                }
-            });
+                    } catch (error) {
+                        console.error('Error starting game:', error);
+                        console.error('Error stack:', error.stack);
+                    }
+                }, 100);
+            }
+        };
+        
+        document.getElementById('startGameBtn')?.addEventListener('click', () => startGame(false));
+        
+        // Offer to continue a level left unfinished, if it was played with the same levels
+        const saved = EmojiCrushGame.getSavedGame();
+        const continueGameBtn = document.getElementById('continueGameBtn');
+        if (saved && continueGameBtn && saved.levelPack === levelPack) {
+            const details = document.getElementById('continueDetails');
+            if (details) {
+                details.textContent = `Level ${saved.level} · ${saved.engine.score.toLocaleString()} points · ${saved.engine.moves} moves left`;
+            }
+            continueGameBtn.classList.remove('hidden');
+            continueGameBtn.addEventListener('click', () => startGame(true));
         }
     } else {
         console.error('Welcome screen not found');
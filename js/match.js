@@ -4,11 +4,37 @@
  */
 
 class MatchDetector {
-    constructor(board) {
+    constructor(board, rng = board.rng) {
         this.board = board;
+        this.rng = rng;
         this.lastMatches = [];
         this.comboMultiplier = 1;
         this.maxComboMultiplier = 8;
+        this.comboScores = {
+            stripedStriped: 600,
+            stripedBomb: 900,
+            bombBomb: 1200,
+            rainbowNormal: 800,
+            rainbowStriped: 1500,
+            rainbowBomb: 1400,
+            rainbowRainbow: 2500,
+            flutteryFluttery: 700,
+            flutteryStriped: 900,
+            flutteryBomb: 1000,
+            rainbowFluttery: 1600
+        };
+        // Points per cleared tile for each shape of crossing lines
+        this.shapeScores = {
+            L: 25,
+            T: 30,
+            plus: 40
+        };
+        this.specialFireScores = {
+            striped: 150,
+            bomb: 200,
+            rainbow: 300,
+            fluttery: 180
+        };
     }
 
     /**
@@ -18,9 +44,6 @@ class MatchDetector {
         const matches = [];
         const visited = new Set();
 
-        console.log('Finding matches on board...');
-        console.log('Current board state:', this.board.grid);
-        
         // Check if board is valid
         if (!this.board.grid || this.board.grid.length === 0) {
             console.warn('Board grid is empty or invalid');
@@ -28,25 +51,23 @@ class MatchDetector {
         }
 
         // Find horizontal matches
-        for (let row = 0; row < this.board.size; row++) {
-            for (let col = 0; col < this.board.size - 2; col++) {
+        for (let row = 0; row < this.board.rows; row++) {
+            for (let col = 0; col < this.board.cols - 2; col++) {
+                if (!this.board.isMatchable(row, col)) continue;
                 const emoji = this.board.getEmoji(row, col);
-                if (!emoji || emoji === null || this.board.isSpecialEmoji(emoji)) continue;
 
                 let matchLength = 1;
                 let currentCol = col + 1;
 
                 // Count consecutive matching emojis
-                while (currentCol < this.board.size && 
-                       this.board.getEmoji(row, currentCol) === emoji &&
-                       this.board.getEmoji(row, currentCol) !== null) {
+                while (currentCol < this.board.cols && 
+                       this.board.isMatchable(row, currentCol) &&
+                       this.board.getEmoji(row, currentCol) === emoji) {
                     matchLength++;
                     currentCol++;
                 }
 
                 if (matchLength >= 3) {
-                    console.log(`Found horizontal match: ${emoji} at row ${row}, cols ${col}-${col + matchLength - 1}`);
-                    
                     const match = {
                         type: 'horizontal',
                         emoji: emoji,
@@ -74,25 +95,23 @@ class MatchDetector {
         }
 
         // Find vertical matches
-        for (let col = 0; col < this.board.size; col++) {
-            for (let row = 0; row < this.board.size - 2; row++) {
+        for (let col = 0; col < this.board.cols; col++) {
+            for (let row = 0; row < this.board.rows - 2; row++) {
+                if (!this.board.isMatchable(row, col)) continue;
                 const emoji = this.board.getEmoji(row, col);
-                if (!emoji || emoji === null || this.board.isSpecialEmoji(emoji)) continue;
 
                 let matchLength = 1;
                 let currentRow = row + 1;
 
                 // Count consecutive matching emojis
-                while (currentRow < this.board.size && 
-                       this.board.getEmoji(currentRow, col) === emoji &&
-                       this.board.getEmoji(currentRow, col) !== null) {
+                while (currentRow < this.board.rows && 
+                       this.board.isMatchable(currentRow, col) &&
+                       this.board.getEmoji(currentRow, col) === emoji) {
                     matchLength++;
                     currentRow++;
                 }
 
                 if (matchLength >= 3) {
-                    console.log(`Found vertical match: ${emoji} at col ${col}, rows ${row}-${row + matchLength - 1}`);
-                    
                     const match = {
                         type: 'vertical',
                         emoji: emoji,
@@ -119,88 +138,183 @@ class MatchDetector {
             }
         }
 
-        console.log(`Total matches found: ${matches.length}`);
         this.lastMatches = matches;
         return matches;
     }
 
     /**
      * Find L-shaped and T-shaped matches
+     * All the lines of one emoji that cross each other make a single shape, named and
+     * centred after its best crossing (plus, then T, then L); lines lists every line in it
      */
     findShapedMatches() {
         const shapedMatches = [];
-        const horizontalMatches = this.lastMatches.filter(m => m.type === 'horizontal');
-        const verticalMatches = this.lastMatches.filter(m => m.type === 'vertical');
-
-        // Check for intersections between horizontal and vertical matches
-        for (const hMatch of horizontalMatches) {
-            for (const vMatch of verticalMatches) {
-                // Check if they intersect
-                if (hMatch.row >= vMatch.startRow && hMatch.row <= vMatch.endRow &&
-                    vMatch.col >= hMatch.startCol && vMatch.col <= hMatch.endCol &&
-                    hMatch.emoji === vMatch.emoji) {
-                    
-                    const intersection = { row: hMatch.row, col: vMatch.col };
-                    
-                    // Create shaped match
-                    const shapedMatch = {
-                        type: 'shaped',
-                        subType: this.getShapeType(hMatch, vMatch),
-                        emoji: hMatch.emoji,
-                        positions: [...hMatch.positions, ...vMatch.positions],
-                        intersection: intersection,
-                        horizontalMatch: hMatch,
-                        verticalMatch: vMatch
-                    };
+        const lines = this.lastMatches.filter(m => m.type === 'horizontal' || m.type === 'vertical');
+        const shapeRanks = { L: 1, T: 2, plus: 3 };
+        const grouped = new Set();
 
-                    // Remove duplicates
-                    const uniquePositions = [];
-                    const posSet = new Set();
-                    
-                    for (const pos of shapedMatch.positions) {
-                        const key = `${pos.row}-${pos.col}`;
-                        if (!posSet.has(key)) {
-                            uniquePositions.push(pos);
-                            posSet.add(key);
-                        }
+        for (const line of lines) {
+            if (grouped.has(line)) continue;
+            
+            // Gather every line joined to this one through crossings
+            const group = [line];
+            grouped.add(line);
+            for (let i = 0; i < group.length; i++) {
+                for (const other of lines) {
+                    if (!grouped.has(other) && this.linesCross(group[i], other)) {
+                        group.push(other);
+                        grouped.add(other);
                     }
-                    
-                    shapedMatch.positions = uniquePositions;
-                    shapedMatches.push(shapedMatch);
                 }
             }
+            if (group.length < 2) continue;
+            
+            let best = null;
+            for (const hMatch of group.filter(m => m.type === 'horizontal')) {
+                for (const vMatch of group.filter(m => m.type === 'vertical')) {
+                    if (!this.linesCross(hMatch, vMatch)) continue;
+                    const subType = this.getShapeType(hMatch, vMatch);
+                    if (!best || shapeRanks[subType] > shapeRanks[best.subType]) {
+                        best = { subType, hMatch, vMatch };
+                    }
+                }
+            }
+            
+            shapedMatches.push({
+                type: 'shaped',
+                subType: best.subType,
+                emoji: line.emoji,
+                positions: this.getAllMatchPositions(group),
+                intersection: { row: best.hMatch.row, col: best.vMatch.col },
+                horizontalMatch: best.hMatch,
+                verticalMatch: best.vMatch,
+                lines: group
+            });
         }
 
         return shapedMatches;
     }
 
     /**
-     * Determine the type of shaped match (L or T)
+     * Check if a horizontal and a vertical line of the same emoji cross
+     */
+    linesCross(line, other) {
+        const hMatch = [line, other].find(m => m.type === 'horizontal');
+        const vMatch = [line, other].find(m => m.type === 'vertical');
+        return Boolean(hMatch && vMatch) && hMatch.emoji === vMatch.emoji &&
+            hMatch.row >= vMatch.startRow && hMatch.row <= vMatch.endRow &&
+            vMatch.col >= hMatch.startCol && vMatch.col <= hMatch.endCol;
+    }
+
+    /**
+     * Get the lines that belong to shaped matches, which score and make specials as their shape
+     */
+    getShapedLines(matches) {
+        const shapedLines = new Set();
+        for (const match of matches.filter(m => m.type === 'shaped')) {
+            match.lines.forEach(line => shapedLines.add(line));
+        }
+        return shapedLines;
+    }
+
+    /**
+     * Find 2x2 squares of one emoji
+     * Squares touching a longer line or a shaped match are left to that match's special,
+     * and squares overlapping one already found are skipped. Run after findMatches()
+     */
+    findSquareMatches() {
+        const squareMatches = [];
+        const claimed = new Set();
+        
+        // Cells already making a bigger special
+        const horizontal = this.lastMatches.filter(m => m.type === 'horizontal');
+        const vertical = this.lastMatches.filter(m => m.type === 'vertical');
+        for (const match of this.lastMatches.filter(m => m.length >= 4)) {
+            match.positions.forEach(pos => claimed.add(`${pos.row}-${pos.col}`));
+        }
+        for (const hMatch of horizontal) {
+            for (const vMatch of vertical) {
+                if (this.linesCross(hMatch, vMatch)) {
+                    [...hMatch.positions, ...vMatch.positions].forEach(pos => claimed.add(`${pos.row}-${pos.col}`));
+                }
+            }
+        }
+        
+        for (let row = 0; row < this.board.rows - 1; row++) {
+            for (let col = 0; col < this.board.cols - 1; col++) {
+                if (!this.board.isMatchable(row, col)) continue;
+                const emoji = this.board.getEmoji(row, col);
+                const positions = [
+                    { row, col },
+                    { row, col: col + 1 },
+                    { row: row + 1, col },
+                    { row: row + 1, col: col + 1 }
+                ];
+                
+                const isSquare = positions.every(pos =>
+                    this.board.isMatchable(pos.row, pos.col) &&
+                    this.board.getEmoji(pos.row, pos.col) === emoji &&
+                    !claimed.has(`${pos.row}-${pos.col}`)
+                );
+                if (!isSquare) continue;
+                
+                positions.forEach(pos => claimed.add(`${pos.row}-${pos.col}`));
+                squareMatches.push({
+                    type: 'square',
+                    emoji,
+                    positions,
+                    topLeft: { row, col }
+                });
+            }
+        }
+        
+        return squareMatches;
+    }
+
+    /**
+     * Determine the type of shaped match from where the lines cross:
+     * 'L' where both lines end, 'T' where one line ends in the middle of the other,
+     * 'plus' where they cross through each other's middles
      */
     getShapeType(hMatch, vMatch) {
-        const totalLength = hMatch.length + vMatch.length - 1; // -1 for intersection
+        const atEndOfRow = vMatch.col === hMatch.startCol || vMatch.col === hMatch.endCol;
+        const atEndOfColumn = hMatch.row === vMatch.startRow || hMatch.row === vMatch.endRow;
         
-        if (totalLength >= 5) {
-            return 'T'; // T-shaped match
+        if (atEndOfRow && atEndOfColumn) {
+            return 'L';
+        } else if (atEndOfRow || atEndOfColumn) {
+            return 'T';
         } else {
-            return 'L'; // L-shaped match
+            return 'plus';
         }
     }
 
     /**
      * Create special emojis based on match type
+     * swapped lists the cells of the player's swap, the cell moved into first;
+     * a special made by the swap goes on the swapped cell in its match instead of the usual spot
      */
-    createSpecialEmojis(matches) {
+    createSpecialEmojis(matches, swapped = []) {
         const specialEmojis = [];
+        
+        // Lines that cross make one special for the whole shape
+        const shapedLines = this.getShapedLines(matches);
 
         for (const match of matches) {
             let specialType = null;
             let position = null;
 
             if (match.type === 'shaped') {
-                // L or T shaped matches create bomb emojis
-                specialType = 'bomb';
+                // L, T and plus shaped matches create bomb emojis, unless one of the lines is 5+ long
+                const longest = Math.max(...match.lines.map(line => line.length));
+                specialType = longest >= 5 ? 'rainbow' : 'bomb';
                 position = match.intersection;
+            } else if (match.type === 'square') {
+                // 2x2 squares create flutteries
+                specialType = 'fluttery';
+                position = match.topLeft;
+            } else if (shapedLines.has(match)) {
+                continue;
             } else if (match.length === 4) {
                 // 4-match creates striped emoji
                 specialType = 'striped';
@@ -210,11 +324,19 @@ class MatchDetector {
                 specialType = 'rainbow';
                 position = this.getMiddlePosition(match);
             }
+            
+            const swappedCell = swapped.find(pos =>
+                match.positions.some(matched => matched.row === pos.row && matched.col === pos.col));
+            if (specialType && swappedCell) {
+                position = { row: swappedCell.row, col: swappedCell.col };
+            }
 
             if (specialType && position) {
                 specialEmojis.push({
                     type: specialType,
                     position: position,
+                    // Striped specials clear along the direction of the match that made them
+                    orientation: match.type === 'vertical' ? 'vertical' : 'horizontal',
                     originalMatch: match
                 });
             }
@@ -235,23 +357,29 @@ class MatchDetector {
 
     /**
      * Process special emoji activation
+     * fired collects every special set off ({ row, col, type, orientation }),
+     * so each one only fires once however many blasts reach it
      */
-    processSpecialEmoji(row, col) {
-        const emoji = this.board.getEmoji(row, col);
-        const specialType = this.board.getSpecialType(emoji);
+    processSpecialEmoji(row, col, fired = []) {
+        const specialType = this.board.getSpecial(row, col);
         
         if (!specialType) return [];
+        if (fired.some(special => special.row === row && special.col === col)) return [];
+        
+        const tile = this.board.getTile(row, col);
+        const special = { row, col, type: specialType, orientation: tile.orientation || null };
+        fired.push(special);
 
-        const affectedPositions = this.board.getSpecialEmojiEffect(row, col, specialType);
+        // A fluttery notes where it flew (special.target) for the animation
+        const affectedPositions = this.board.getSpecialEmojiEffect(row, col, specialType, special);
+        special.positions = affectedPositions;
         
         // Handle chain reactions with other special emojis
         const chainReactions = [];
         for (const pos of affectedPositions) {
-            const targetEmoji = this.board.getEmoji(pos.row, pos.col);
-            if (this.board.isSpecialEmoji(targetEmoji) && 
-                (pos.row !== row || pos.col !== col)) {
+            if (this.board.getSpecial(pos.row, pos.col)) {
                 // Trigger chain reaction
-                const chainPositions = this.processSpecialEmoji(pos.row, pos.col);
+                const chainPositions = this.processSpecialEmoji(pos.row, pos.col, fired);
                 chainReactions.push(...chainPositions);
             }
         }
@@ -259,6 +387,50 @@ class MatchDetector {
         return [...affectedPositions, ...chainReactions];
     }
 
+    /**
+     * Calculate score for specials set off during a cascade step
+     * A cell caught by overlapping blasts only scores once, as it is only cleared once
+     */
+    calculateSpecialScore(fired, blastPositions) {
+        const fireBonus = fired.reduce((sum, special) => sum + (this.specialFireScores[special.type] || 0), 0);
+        const blasted = this.getAllMatchPositions([{ positions: blastPositions }]);
+        return Math.floor((fireBonus + blasted.length * 10) * this.comboMultiplier);
+    }
+
+    /**
+     * Set off the combo made by swapping two specials (or a rainbow and an emoji)
+     * The swapped tile lands on pos2, so area combos are centred there
+     * Returns { type, center, emoji, positions, stripes, targets, orientation, score }, or null if the swap
+     * isn't a combo (targets are the cells the combo aims at, orientation that of a striped tile in the swap)
+     */
+    processSpecialCombo(pos1, pos2) {
+        const type = this.board.getComboType(pos1, pos2);
+        if (!type) return null;
+        
+        // Rainbow combos take the colour of the other tile
+        const other = this.board.getSpecial(pos1.row, pos1.col) === 'rainbow' ? pos2 : pos1;
+        const emoji = this.board.getEmoji(other.row, other.col);
+        
+        const stripes = type === 'rainbowStriped' ? this.board.stripeColor(emoji) : [];
+        
+        // A fluttery carrying a striped tile clears along the stripe's axis
+        const striped = [pos1, pos2].find(pos => this.board.getSpecial(pos.row, pos.col) === 'striped');
+        const details = { orientation: striped ? this.board.getTile(striped.row, striped.col).orientation : null };
+        const effect = this.board.getComboEffect(pos2.row, pos2.col, type, emoji, details);
+        const positions = this.getAllMatchPositions([{ positions: [pos1, pos2, ...effect] }]);
+        
+        return {
+            type,
+            center: pos2,
+            emoji,
+            positions,
+            stripes,
+            targets: details.targets || [],
+            orientation: details.orientation,
+            score: Math.floor(this.comboScores[type] * this.comboMultiplier)
+        };
+    }
+
     /**
      * Calculate score for matches
      */
@@ -266,12 +438,17 @@ class MatchDetector {
         let totalScore = 0;
         let baseScore = 0;
 
-        // Score for regular matches
+        // Score for regular matches; lines in a shape only count as part of it
+        const shapedLines = this.getShapedLines(matches);
         for (const match of matches) {
             let matchScore = 0;
             
-            if (match.type === 'shaped') {
-                matchScore = match.positions.length * 25; // Bonus for shaped matches
+            if (shapedLines.has(match)) {
+                continue;
+            } else if (match.type === 'shaped') {
+                matchScore = match.positions.length * this.shapeScores[match.subType]; // Bonus for shaped matches
+            } else if (match.type === 'square') {
+                matchScore = match.positions.length * 20;
             } else if (match.length === 3) {
                 matchScore = match.positions.length * 10;
             } else if (match.length === 4) {
@@ -326,26 +503,17 @@ class MatchDetector {
      * Check if a swap would create matches
      */
     wouldCreateMatches(pos1, pos2) {
-        console.log('Checking if swap would create matches:', pos1, pos2);
-        
-        // Get emojis before swap
-        const emoji1 = this.board.getEmoji(pos1.row, pos1.col);
-        const emoji2 = this.board.getEmoji(pos2.row, pos2.col);
-        console.log('Emojis to swap:', emoji1, 'and', emoji2);
-        
         // Temporarily swap
         this.board.swapEmojis(pos1, pos2);
         
         // Check for matches
-        const matches = this.findMatches();
-        console.log('Matches found after swap:', matches.length);
+        const matches = [...this.findMatches(), ...this.findSquareMatches()];
         
         const hasMatches = matches.length > 0;
         
         // Swap back
         this.board.swapEmojis(pos1, pos2);
         
-        console.log('Would create matches result:', hasMatches);
         return hasMatches;
     }
 
@@ -378,7 +546,8 @@ class MatchDetector {
             matchTypes: {
                 horizontal: 0,
                 vertical: 0,
-                shaped: 0
+                shaped: 0,
+                square: 0
             },
             specialOpportunities: 0,
             possibleMoves: this.board.getPossibleMoves().length
@@ -386,8 +555,9 @@ class MatchDetector {
 
         const matches = this.findMatches();
         const shapedMatches = this.findShapedMatches();
+        const squareMatches = this.findSquareMatches();
 
-        analysis.totalMatches = matches.length + shapedMatches.length;
+        analysis.totalMatches = matches.length + shapedMatches.length + squareMatches.length;
         
         for (const match of matches) {
             analysis.matchTypes[match.type]++;
@@ -397,7 +567,8 @@ class MatchDetector {
         }
 
         analysis.matchTypes.shaped = shapedMatches.length;
-        analysis.specialOpportunities += shapedMatches.length;
+        analysis.matchTypes.square = squareMatches.length;
+        analysis.specialOpportunities += shapedMatches.length + squareMatches.length;
 
         return analysis;
     }
@@ -452,7 +623,7 @@ class MatchDetector {
         // Prioritize moves that create special emojis
         for (const move of possibleMoves) {
             this.board.swapEmojis(move.pos1, move.pos2);
-            const matches = this.findMatches();
+            const matches = [...this.findMatches(), ...this.findSquareMatches()];
             const specialEmojis = this.createSpecialEmojis(matches);
             this.board.swapEmojis(move.pos1, move.pos2); // Swap back
 
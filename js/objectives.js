@@ -0,0 +1,170 @@
+/**
+ * Objectives.js - Tracks level objectives and their live progress
+ * A level is complete once every objective is complete, not just when the score goal is reached
+ */
+
+class ObjectiveTracker {
+    constructor(objectives = []) {
+        this.objectives = objectives.map(objective => ({
+            ...objective,
+            target: this.getTarget(objective),
+            current: 0
+        }));
+    }
+
+    /**
+     * Objective types whose progress is tracked; level packs may only use these
+     */
+    static getTrackedTypes() {
+        return ['score', 'collect', 'createSpecial', 'blockers', 'jelly', 'ingredients'];
+    }
+
+    /**
+     * Get the amount needed to complete an objective
+     */
+    getTarget(objective) {
+        return objective.type === 'score' ? objective.target : objective.count;
+    }
+
+    /**
+     * Update score objectives with the current score
+     */
+    recordScore(score) {
+        this.objectives
+            .filter(objective => objective.type === 'score')
+            .forEach(objective => {
+                objective.current = score;
+            });
+    }
+
+    /**
+     * Count cleared emojis towards collect objectives
+     */
+    recordCleared(emojis) {
+        for (const emoji of emojis) {
+            this.add('collect', 1, objective => objective.emoji === emoji);
+        }
+    }
+
+    /**
+     * Count a created special towards createSpecial objectives
+     */
+    recordSpecialCreated(type) {
+        this.add('createSpecial', 1, objective => !objective.special || objective.special === type);
+    }
+
+    /**
+     * Count a fully cleared blocker towards blockers objectives
+     */
+    recordBlockerCleared(type) {
+        this.add('blockers', 1, objective => !objective.blocker || objective.blocker === type);
+    }
+
+    /**
+     * Count jelly layers cleared
+     */
+    recordJellyCleared(amount = 1) {
+        this.add('jelly', amount);
+    }
+
+    /**
+     * Count ingredients that reached an exit
+     */
+    recordIngredientsCollected(amount = 1) {
+        this.add('ingredients', amount);
+    }
+
+    /**
+     * Add progress to matching objectives of a type
+     */
+    add(type, amount, predicate = () => true) {
+        this.objectives
+            .filter(objective => objective.type === type && predicate(objective))
+            .forEach(objective => {
+                objective.current = Math.min(objective.current + amount, objective.target);
+            });
+    }
+
+    /**
+     * Check if a single objective is complete
+     */
+    isObjectiveComplete(objective) {
+        return objective.current >= objective.target;
+    }
+
+    /**
+     * Check if every objective is complete
+     */
+    isComplete() {
+        return this.objectives.length > 0 &&
+            this.objectives.every(objective => this.isObjectiveComplete(objective));
+    }
+
+    /**
+     * Get overall completion from 0 to 1
+     */
+    getCompletion() {
+        if (this.objectives.length === 0) return 0;
+
+        const total = this.objectives.reduce((sum, objective) => {
+            return sum + (objective.target > 0 ? Math.min(objective.current / objective.target, 1) : 1);
+        }, 0);
+        return total / this.objectives.length;
+    }
+
+    /**
+     * Get what the unfinished objectives still need cleared, for specials that pick a target
+     * blockers lists the wanted blocker types, with null for any blocker
+     */
+    getTargets() {
+        const open = this.objectives.filter(objective => !this.isObjectiveComplete(objective));
+        const ofType = type => open.filter(objective => objective.type === type);
+        return {
+            emojis: ofType('collect').map(objective => objective.emoji),
+            jelly: ofType('jelly').length > 0,
+            blockers: ofType('blockers').map(objective => objective.blocker || null),
+            ingredients: ofType('ingredients').length > 0
+        };
+    }
+
+    /**
+     * Get the score target, if the level has one
+     */
+    getScoreTarget() {
+        const objective = this.objectives.find(objective => objective.type === 'score');
+        return objective ? objective.target : null;
+    }
+
+    /**
+     * Get objective progress for the HUD
+     */
+    getProgress() {
+        return this.objectives.map(objective => ({
+            ...objective,
+            complete: this.isObjectiveComplete(objective)
+        }));
+    }
+
+    /**
+     * Get tracker state (for undo)
+     */
+    getState() {
+        return this.objectives.map(objective => objective.current);
+    }
+
+    /**
+     * Restore tracker state
+     */
+    setState(state) {
+        state.forEach((current, index) => {
+            if (this.objectives[index]) {
+                this.objectives[index].current = current;
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObjectiveTracker;
+}
@@ -0,0 +1,97 @@
+/**
+ * Random.js - Seeded pseudo-random number generator
+ * Every random decision in Emoji Crush draws from one of these so a board can be replayed from its seed
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh seed for a new level
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Pick an element with probability proportional to its weight
+     * Falls back to a uniform pick if no weight is positive
+     */
+    pickWeighted(array, weights) {
+        const total = weights.reduce((sum, weight) => sum + Math.max(weight, 0), 0);
+        if (!array || array.length === 0 || total <= 0) return this.pick(array);
+
+        let roll = this.next() * total;
+        for (let i = 0; i < array.length; i++) {
+            roll -= Math.max(weights[i], 0);
+            if (roll < 0) return array[i];
+        }
+        return array[array.length - 1];
+    }
+
+    /**
+     * Coin flip with the given probability of true
+     */
+    chance(probability = 0.5) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Get generator state (for undo and save games)
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * Restore generator state
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -18,6 +18,34 @@ class GameUI {
         
         this.initializeEventListeners();
         this.setupAudio();
+        this.subscribeToGame();
+    }
+
+    /**
+     * Follow the game's events: animate moves, play sounds and show the end-of-level modals
+     * Listeners that animate return a promise so the game waits for them
+     */
+    subscribeToGame() {
+        const events = this.game.events;
+
+        events.on('swap', () => {
+            this.updateBoard();
+            this.updateUI();
+        });
+        events.on('invalidSwap', ({ pos1, pos2 }) => {
+            this.animateRejectedSwap(pos1.row, pos1.col, pos2.row, pos2.col);
+        });
+        events.on('match', ({ multiplier }) => {
+            this.playSound('matchSound');
+            if (multiplier > 1) {
+                this.showCombo(multiplier);
+            }
+        });
+        events.on('cascade', ({ step, startState }) => this.showStep(step, startState));
+        events.on('scoreChanged', () => this.updateUI());
+        events.on('movesChanged', () => this.updateUI());
+        events.on('levelComplete', result => this.showLevelComplete(result));
+        events.on('gameOver', result => this.showGameOver(result));
     }
 
     /**
@@ -30,10 +58,14 @@ class GameUI {
             scoreDisplay: document.getElementById('score-display'),
             movesDisplay: document.getElementById('moves-display'),
             goalDisplay: document.getElementById('goal-display'),
+            jellyStat: document.getElementById('jelly-stat'),
+            jellyDisplay: document.getElementById('jelly-display'),
             progressFill: document.getElementById('progress-fill'),
+            objectivesDisplay: document.getElementById('objectives-display'),
             
             // Combo
             comboDisplay: document.getElementById('combo-display'),
+            noMovesNotice: document.getElementById('no-moves-notice'),
             comboMultiplier: document.getElementById('combo-multiplier'),
             
             // Power-ups
@@ -55,6 +87,7 @@ class GameUI {
             finalScore: document.getElementById('final-score'),
             finalLevel: document.getElementById('final-level'),
             highScoreMessage: document.getElementById('high-score-message'),
+            gameOverReason: document.getElementById('game-over-reason'),
             levelScore: document.getElementById('level-score'),
             levelBonus: document.getElementById('level-bonus'),
             starsDisplay: document.getElementById('stars-display'),
@@ -435,8 +468,7 @@ class GameUI {
         }
         
         // Check bounds
-        if (targetRow >= 0 && targetRow < this.game.board.size &&
-            targetCol >= 0 && targetCol < this.game.board.size) {
+        if (this.game.board.isValidPosition(targetRow, targetCol)) {
             
             const targetTile = document.querySelector(`[data-row="${targetRow}"][data-col="${targetCol}"]`);
             if (targetTile) {
@@ -537,8 +569,7 @@ class GameUI {
         this.clearSwipePreview();
         
         // Validate target position
-        if (targetRow >= 0 && targetRow < this.game.board.size && 
-            targetCol >= 0 && targetCol < this.game.board.size) {
+        if (this.game.board.isValidPosition(targetRow, targetCol)) {
             
             const targetTile = this.getTileElement(targetRow, targetCol);
             
@@ -599,8 +630,7 @@ class GameUI {
         console.log('Swipe from', row, col, 'to', targetRow, targetCol);
         
         // Validate target position
-        if (targetRow >= 0 && targetRow < this.game.board.size && 
-            targetCol >= 0 && targetCol < this.game.board.size) {
+        if (this.game.board.isValidPosition(targetRow, targetCol)) {
             
             // First select the start tile
             this.game.selectedTile = { row, col };
@@ -638,8 +668,7 @@ class GameUI {
         }
         
         // Validate target position and attempt swap
-        if (targetRow >= 0 && targetRow < this.game.board.size && 
-            targetCol >= 0 && targetCol < this.game.board.size) {
+        if (this.game.board.isValidPosition(targetRow, targetCol)) {
             
             // Animate the swap
             this.animateSwap(row, col, targetRow, targetCol);
@@ -728,7 +757,7 @@ class GameUI {
         console.log('renderBoard called');
         console.log('boardElement:', this.boardElement);
         console.log('game.board:', this.game.board);
-        console.log('game.board.size:', this.game.board?.size);
+        console.log('game.board size:', this.game.board?.rows, 'x', this.game.board?.cols);
         console.log('game.board.grid:', this.game.board?.grid);
         
         if (!this.boardElement) {
@@ -742,15 +771,55 @@ class GameUI {
         }
         
         this.boardElement.innerHTML = '';
+        this.boardElement.style.setProperty('--board-rows', this.game.board.rows);
+        this.boardElement.style.setProperty('--board-cols', this.game.board.cols);
         
-        for (let row = 0; row < this.game.board.size; row++) {
-            for (let col = 0; col < this.game.board.size; col++) {
+        for (let row = 0; row < this.game.board.rows; row++) {
+            for (let col = 0; col < this.game.board.cols; col++) {
                 const tile = this.createTile(row, col);
                 this.boardElement.appendChild(tile);
             }
         }
         
-        console.log('Board rendered with', this.game.board.size * this.game.board.size, 'tiles');
+        this.renderOverlays();
+        
+        console.log('Board rendered with', this.game.board.rows * this.game.board.cols, 'tiles');
+    }
+
+    /**
+     * Draw portals and conveyor belts on a layer over the tiles
+     * The layer repeats the board's grid, so each marker sits over its cell
+     */
+    renderOverlays() {
+        const board = this.game.board;
+        if (board.portals.length === 0 && board.conveyors.length === 0) return;
+        
+        const layer = document.createElement('div');
+        layer.className = 'board-overlays';
+        const addMarker = (cell, className, text = '') => {
+            const marker = document.createElement('div');
+            marker.className = `board-overlay ${className}`;
+            marker.style.gridRow = cell.row + 1;
+            marker.style.gridColumn = cell.col + 1;
+            marker.textContent = text;
+            layer.appendChild(marker);
+            return marker;
+        };
+        
+        // Each portal pair gets its own colour so linked cells are easy to spot
+        board.portals.forEach((portal, index) => {
+            const hue = (200 + index * 67) % 360;
+            addMarker(portal.entrance, 'portal portal-entrance').style.setProperty('--portal-hue', hue);
+            addMarker(portal.exit, 'portal portal-exit').style.setProperty('--portal-hue', hue);
+        });
+        
+        const arrows = { up: '▲', down: '▼', left: '◀', right: '▶' };
+        board.conveyors.forEach(({ path }) => path.forEach(cell => {
+            const direction = board.getConveyorDirection(cell.row, cell.col);
+            addMarker(cell, `conveyor conveyor-${direction}`, arrows[direction]);
+        }));
+        
+        this.boardElement.appendChild(layer);
     }
 
     /**
@@ -758,17 +827,85 @@ class GameUI {
      */
     createTile(row, col) {
         const tile = document.createElement('div');
-        tile.className = 'emoji-tile';
         tile.dataset.row = row;
         tile.dataset.col = col;
+        this.renderTileContent(tile, row, col);
+        return tile;
+    }
+
+    /**
+     * Set a tile element's content and classes from the board
+     */
+    renderTileContent(tile, row, col) {
+        tile.className = 'emoji-tile';
+        delete tile.dataset.hits;
+        delete tile.dataset.jelly;
+        
+        // Void cells of shaped boards stay blank
+        if (!this.game.board.isPlayable(row, col)) {
+            tile.classList.add('void');
+            tile.textContent = '';
+            return;
+        }
+        
+        // Jelly sits under the tile as a cell background
+        const jelly = this.game.board.getJelly(row, col);
+        if (jelly > 0) {
+            tile.classList.add('jelly');
+            tile.dataset.jelly = jelly;
+        }
+        
+        // Mark the bottom-row cells that collect ingredients
+        if (this.game.board.isExit(row, col)) {
+            tile.classList.add('exit');
+        }
+        
+        // Mark level-placed spawners on the edge new tiles come in through
+        const spawner = this.game.board.spawnerLayout ? this.game.board.getSpawner(row, col) : null;
+        if (spawner) {
+            tile.classList.add('spawner', `spawner-${spawner.edge}`);
+        }
+        
+        // Ice, stone and chocolate fill the whole cell
+        const blocker = this.game.board.getBlocker(row, col);
+        if (blocker && this.game.board.isBlocked(row, col)) {
+            tile.classList.add('blocker', `blocker-${blocker.type}`);
+            tile.dataset.hits = blocker.hits;
+            tile.textContent = this.game.board.blockerTypes[blocker.type].icon;
+            return;
+        }
         
         const emoji = this.game.board.getEmoji(row, col);
         tile.textContent = emoji || '';
         
+        if (this.game.board.isLocked(row, col)) {
+            tile.classList.add('caged');
+        }
+        
+        if (this.game.board.isIngredient(row, col)) {
+            tile.classList.add('ingredient');
+        }
+        
+        // Timer bombs show their fuse; the last few moves are flagged
+        if (this.game.board.isTimerBomb(row, col)) {
+            const timer = this.game.board.getTile(row, col).timer;
+            const counter = document.createElement('span');
+            counter.className = 'timer-count';
+            counter.textContent = `${this.game.board.timerBombIcon}${timer}`;
+            tile.classList.add('timer-bomb');
+            tile.classList.toggle('timer-urgent', timer <= 3);
+            tile.appendChild(counter);
+        }
+        
         // Add special emoji classes
-        if (this.game.board.isSpecialEmoji(emoji)) {
-            const specialType = this.game.board.getSpecialType(emoji);
+        const specialType = this.game.board.getSpecial(row, col);
+        if (specialType) {
             tile.classList.add(`special-${specialType}`);
+            
+            // Striped tiles show which way they will clear
+            if (specialType === 'striped') {
+                tile.classList.add(`special-striped-${this.game.board.getTile(row, col).orientation}`);
+            }
         }
         
         // Add selected class
@@ -777,8 +914,6 @@ class GameUI {
             this.game.selectedTile.col === col) {
             tile.classList.add('selected');
         }
-        
-        return tile;
     }
 
     /**
@@ -790,23 +925,7 @@ class GameUI {
         tiles.forEach(tile => {
             const row = parseInt(tile.dataset.row);
             const col = parseInt(tile.dataset.col);
-            const emoji = this.game.board.getEmoji(row, col);
-            
-            tile.textContent = emoji || '';
-            
-            // Update classes
-            tile.className = 'emoji-tile';
-            
-            if (this.game.board.isSpecialEmoji(emoji)) {
-                const specialType = this.game.board.getSpecialType(emoji);
-                tile.classList.add(`special-${specialType}`);
-            }
-            
-            if (this.game.selectedTile && 
-                this.game.selectedTile.row === row && 
-                this.game.selectedTile.col === col) {
-                tile.classList.add('selected');
-            }
+            this.renderTileContent(tile, row, col);
         });
     }
 
@@ -820,13 +939,21 @@ class GameUI {
         if (this.elements.levelDisplay) this.elements.levelDisplay.textContent = progress.level;
         if (this.elements.scoreDisplay) this.elements.scoreDisplay.textContent = progress.score.toLocaleString();
         if (this.elements.movesDisplay) this.elements.movesDisplay.textContent = progress.moves;
-        if (this.elements.goalDisplay) this.elements.goalDisplay.textContent = progress.goal.toLocaleString();
+        if (this.elements.goalDisplay) this.elements.goalDisplay.textContent = progress.goal ? progress.goal.toLocaleString() : '—';
+        if (this.elements.jellyDisplay) this.elements.jellyDisplay.textContent = progress.jelly;
+        
+        // Only show the jelly counter on levels that still have jelly
+        if (this.elements.jellyStat) {
+            this.elements.jellyStat.classList.toggle('hidden', progress.jelly === 0);
+        }
         
         // Update progress bar
         if (this.elements.progressFill) {
             this.elements.progressFill.style.width = `${progress.percentage}%`;
         }
         
+        this.updateObjectives(progress.objectives);
+        
         // Update power-up counts
         if (this.elements.hammerCount) this.elements.hammerCount.textContent = progress.powerUps.hammer;
         if (this.elements.shuffleCount) this.elements.shuffleCount.textContent = progress.powerUps.shuffle;
@@ -841,6 +968,88 @@ class GameUI {
         }
     }
 
+    /**
+     * Update objective counters in the HUD
+     */
+    updateObjectives(objectives) {
+        if (!this.elements.objectivesDisplay) return;
+        
+        const items = objectives.map(objective => ({
+            complete: objective.complete,
+            label: this.getObjectiveLabel(objective),
+            icon: this.getObjectiveIcon(objective),
+            count: objective.complete ? '✔' : `${objective.current.toLocaleString()}/${objective.target.toLocaleString()}`
+        }));
+        
+        // Only touch the DOM when a counter changed
+        const key = JSON.stringify(items);
+        if (key === this.objectivesKey) return;
+        this.objectivesKey = key;
+        
+        // Level packs supply the emojis and names, so they only ever go in as text
+        const display = this.elements.objectivesDisplay;
+        display.textContent = '';
+        items.forEach(item => {
+            const element = document.createElement('div');
+            element.className = `objective-item${item.complete ? ' complete' : ''}`;
+            element.title = item.label;
+            
+            const icon = document.createElement('span');
+            icon.className = 'objective-icon';
+            icon.textContent = item.icon;
+            const count = document.createElement('span');
+            count.className = 'objective-count';
+            count.textContent = item.count;
+            
+            element.append(icon, count);
+            display.appendChild(element);
+        });
+    }
+
+    /**
+     * Get the HUD icon for an objective
+     */
+    getObjectiveIcon(objective) {
+        switch (objective.type) {
+            case 'score':
+                return '🎯';
+            case 'collect':
+                return objective.emoji;
+            case 'createSpecial':
+                return (objective.special && this.game.board.specialEmojis[objective.special]) || '✨';
+            case 'blockers':
+                return objective.blocker ? this.game.board.blockerTypes[objective.blocker].icon : '🧱';
+            case 'jelly':
+                return '🟪';
+            case 'ingredients':
+                return '🥜';
+            default:
+                return '❓';
+        }
+    }
+
+    /**
+     * Get the tooltip for an objective
+     */
+    getObjectiveLabel(objective) {
+        switch (objective.type) {
+            case 'score':
+                return `Score ${objective.target.toLocaleString()} points`;
+            case 'collect':
+                return `Collect ${objective.target} ${objective.emoji}`;
+            case 'createSpecial':
+                return `Create ${objective.target} ${objective.special || 'special'} emojis`;
+            case 'blockers':
+                return `Clear ${objective.target} ${objective.blocker || 'blockers'}`;
+            case 'jelly':
+                return `Clear ${objective.target} jelly`;
+            case 'ingredients':
+                return `Bring down ${objective.target} ingredients`;
+            default:
+                return objective.type;
+        }
+    }
+
     /**
      * Update active power-up display
      */
@@ -874,61 +1083,415 @@ class GameUI {
     }
 
     /**
-     * Animate tile matches
+     * Show the "No moves – shuffling" notice
+     * Resolves once the player has had time to read it
+     */
+    showNoMovesNotice() {
+        if (!this.elements.noMovesNotice) {
+            return Promise.resolve();
+        }
+        
+        this.elements.noMovesNotice.classList.remove('hidden');
+        return new Promise(resolve => {
+            setTimeout(() => {
+                this.elements.noMovesNotice.classList.add('hidden');
+                resolve();
+            }, 1200);
+        });
+    }
+
+    /**
+     * Spin the reshuffled tiles into place
+     */
+    animateShuffle() {
+        const tiles = this.boardElement.querySelectorAll('.emoji-tile');
+        tiles.forEach(tile => {
+            if (tile.classList.contains('void') || tile.classList.contains('blocker')) return;
+            
+            tile.classList.add('shuffling');
+            setTimeout(() => {
+                tile.classList.remove('shuffling');
+            }, 500);
+        });
+    }
+
+    /**
+     * Show the board moving on to a step's state
+     * Steps with a timeline play it event by event over the board they started from
+     * (startState); the rest jump to their state and animate it.
+     * Resolves once the step's animation has had time to play
+     */
+    async showStep(step, startState = null) {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        if (step.type === 'shuffle') {
+            await this.showNoMovesNotice();
+        }
+
+        if (step.timeline) {
+            // The timeline's clears and blasts point at the tiles the step started from
+            if (startState) {
+                this.game.board.setState(startState);
+                this.renderBoard();
+            }
+            await this.playTimeline(step.timeline);
+            // A timeline can pass through other boards on the way (ingredients leaving)
+            this.game.board.setState(step.state);
+        } else {
+            this.renderBoard();
+        }
+
+        switch (step.type) {
+            case 'conveyor':
+                step.movements.forEach(movement => {
+                    const tile = this.getTileElement(movement.to.row, movement.to.col);
+                    if (tile && tile.animate) {
+                        this.animatePath(tile, [movement.from, movement.to], movement.to);
+                    }
+                });
+                break;
+            case 'timerBombs':
+                step.exploded.forEach(pos => this.createExplosionEffect(pos.row, pos.col));
+                break;
+            case 'shuffle':
+                this.animateShuffle();
+                break;
+        }
+
+        this.updateUI();
+        await wait(200);
+    }
+
+    /**
+     * Play a step's timeline from GameEngine: staggered clears, new specials, blasts,
+     * then tweened falls and spawns
+     * Each event waits for the one before, except that a blast can set off the next special
+     * while it is still going and spawns start pouring in as the tiles below begin to fall
+     */
+    async playTimeline(timeline) {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const overlap = { blast: 200, fall: 120 };
+        let busyUntil = Date.now();
+
+        for (let index = 0; index < timeline.length; index++) {
+            const event = timeline[index];
+
+            // Falling redraws the board, so let everything on it finish first
+            if (event.type === 'fall') {
+                await wait(Math.max(0, busyUntil - Date.now()));
+            }
+
+            const duration = this.playTimelineEvent(event, timeline[index + 1]);
+            busyUntil = Math.max(busyUntil, Date.now() + duration);
+            await wait(Math.min(duration, overlap[event.type] ?? duration));
+        }
+
+        await wait(Math.max(0, busyUntil - Date.now()));
+    }
+
+    /**
+     * Start one timeline event; next is the event after it
+     * Returns how long its animation runs in ms
+     */
+    playTimelineEvent(event, next) {
+        switch (event.type) {
+            case 'clear':
+            case 'collect':
+                return this.animateMatches(event.positions);
+            case 'special':
+                return this.showCreatedSpecial(event.special, event.tile);
+            case 'blast': {
+                const { row, col, type } = event.special;
+                const duration = Math.max(300, this.animateSpecialEffect(row, col, type, event.special));
+                setTimeout(() => this.markCleared(event.positions), duration);
+                return duration;
+            }
+            case 'fall': {
+                this.game.board.setState(event.state);
+                this.renderBoard();
+                // Tiles still to spawn stay hidden until they drop in
+                if (next && next.type === 'spawn') {
+                    next.spawns.forEach(spawn => this.getTileElement(spawn.row, spawn.col)?.classList.add('awaiting-spawn'));
+                }
+                return this.animateFalling(event.movements);
+            }
+            case 'spawn':
+                return this.animateSpawns(event.spawns);
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Pulse matched tiles one after another, emptying each cell as its pulse ends
+     * Returns how long it takes in ms
      */
     animateMatches(positions) {
-        positions.forEach(pos => {
+        if (positions.length === 0) return 0;
+
+        const interval = Math.min(40, 300 / positions.length);
+        positions.forEach((pos, index) => {
             const tile = this.getTileElement(pos.row, pos.col);
-            if (tile) {
-                tile.classList.add('matching');
-                setTimeout(() => {
-                    tile.classList.remove('matching');
-                }, 600);
-            }
+            if (!tile) return;
+
+            setTimeout(() => tile.classList.add('matching'), index * interval);
+            setTimeout(() => {
+                tile.classList.remove('matching');
+                tile.classList.add('cleared');
+            }, index * interval + 300);
         });
+        return (positions.length - 1) * interval + 300;
+    }
+
+    /**
+     * Empty the cells of cleared tiles, leaving any effect inside them running
+     */
+    markCleared(positions) {
+        positions.forEach(pos => this.getTileElement(pos.row, pos.col)?.classList.add('cleared'));
+    }
+
+    /**
+     * Pop a newly made special into its cell
+     * tile is the board tile as it was created
+     */
+    showCreatedSpecial(special, tile) {
+        const element = this.getTileElement(special.position.row, special.position.col);
+        if (!element) return 0;
+
+        element.classList.remove('matching', 'cleared');
+        element.classList.add(`special-${special.type}`, 'special-created');
+        if (special.type === 'striped') {
+            element.classList.add(`special-striped-${special.orientation}`);
+        }
+        element.textContent = typeof tile === 'string' ? tile : tile.emoji;
+
+        setTimeout(() => element.classList.remove('special-created'), 300);
+        return 300;
     }
 
     /**
-     * Animate falling tiles
+     * Tween falling tiles along their paths, landing with a bounce
+     * Without the Web Animations API the tiles slide in from their own side
+     * Returns how long the longest fall takes in ms
      */
     animateFalling(movements) {
+        let duration = 0;
         movements.forEach(movement => {
             const tile = this.getTileElement(movement.to.row, movement.to.col);
-            if (tile) {
-                tile.classList.add('falling');
+            if (tile && tile.animate) {
+                duration = Math.max(duration, this.tweenTile(tile, movement.path || [movement.from, movement.to], movement.to));
+            } else if (tile) {
+                const direction = movement.direction || 'down';
+                const className = direction === 'down' ? 'falling' : `falling-${direction}`;
+                tile.classList.add(className);
                 setTimeout(() => {
-                    tile.classList.remove('falling');
+                    tile.classList.remove(className);
                 }, 500);
+                duration = Math.max(duration, 500);
             }
         });
+        return duration;
+    }
+
+    /**
+     * Drop new tiles in from beyond their spawner's edge
+     * Tiles from the same spawner queue up behind each other, so the first in falls furthest
+     * Returns how long the longest drop takes in ms
+     */
+    animateSpawns(spawns) {
+        const outside = { top: { row: -1, col: 0 }, bottom: { row: 1, col: 0 }, left: { row: 0, col: -1 }, right: { row: 0, col: 1 } };
+        let duration = 0;
+
+        spawns.forEach(spawn => {
+            const tile = this.getTileElement(spawn.row, spawn.col);
+            if (!tile) return;
+            tile.classList.remove('awaiting-spawn');
+
+            const entry = spawn.path[0];
+            const offset = outside[spawn.edge] || outside.top;
+            const queued = spawns.filter(other => other.path[0].row === entry.row && other.path[0].col === entry.col &&
+                other.path.length > spawn.path.length).length;
+            const lead = Array.from({ length: queued + 1 }, (_, i) => ({
+                row: entry.row + offset.row * (queued + 1 - i),
+                col: entry.col + offset.col * (queued + 1 - i)
+            }));
+
+            if (tile.animate) {
+                duration = Math.max(duration, this.tweenTile(tile, [...lead, ...spawn.path], spawn, { fadeIn: true }));
+            } else {
+                tile.classList.add('falling');
+                setTimeout(() => tile.classList.remove('falling'), 500);
+                duration = Math.max(duration, 500);
+            }
+        });
+        return duration;
+    }
+
+    /**
+     * Tween a tile along the cells it passed through to where it now sits, then bounce
+     * back off the cell it landed in. A tile that went through a portal is only shown from the exit.
+     * Returns how long the tween runs in ms
+     */
+    tweenTile(tile, fullPath, to, { fadeIn = false } = {}) {
+        const path = this.getVisiblePath(fullPath);
+        if (path.length < 2) return 0;
+
+        const step = this.getTileStep();
+        const last = path.length - 1;
+        const cellTime = 70;
+        const bounceTime = 180;
+        const duration = last * cellTime + bounceTime;
+        const landed = (last * cellTime) / duration;
+        const at = (row, col) => `translate(${(col - to.col) * step.x}px, ${(row - to.row) * step.y}px)`;
+
+        // Bounce a little way back against the direction of travel
+        const from = path[last - 1];
+        const rebound = at(to.row - Math.sign(to.row - from.row) * 0.15, to.col - Math.sign(to.col - from.col) * 0.15);
+
+        const keyframes = path.map((cell, i) => ({ transform: at(cell.row, cell.col), offset: landed * i / last }));
+        if (fadeIn) {
+            keyframes[0].opacity = 0;
+            keyframes[1].opacity = 1;
+        }
+        keyframes[0].easing = 'ease-in';
+        keyframes.push(
+            { transform: rebound, offset: landed + (1 - landed) / 2, easing: 'ease-in' },
+            { transform: at(to.row, to.col), offset: 1 }
+        );
+
+        tile.animate(keyframes, { duration });
+        return duration;
+    }
+
+    /**
+     * Drop the part of a path before its last portal jump
+     */
+    getVisiblePath(fullPath) {
+        const jump = fullPath.map((cell, i) => i > 0 && (Math.abs(cell.row - fullPath[i - 1].row) > 1 ||
+            Math.abs(cell.col - fullPath[i - 1].col) > 1)).lastIndexOf(true);
+        return jump > 0 ? fullPath.slice(jump) : fullPath;
+    }
+
+    /**
+     * Move a tile from the start of its path to where it now sits, one cell at a time
+     * A tile that went through a portal is only shown from the portal's exit
+     */
+    animatePath(tile, fullPath, to) {
+        const path = this.getVisiblePath(fullPath);
+        if (path.length < 2) return;
+        
+        const step = this.getTileStep();
+        const last = path.length - 1;
+        const keyframes = path.map((cell, i) => ({
+            transform: `translate(${(cell.col - to.col) * step.x}px, ${(cell.row - to.row) * step.y}px)`,
+            offset: i / last
+        }));
+        tile.animate(keyframes, { duration: 120 * last, easing: 'ease-in' });
+    }
+
+    /**
+     * Get the distance between neighbouring tiles, gap included
+     */
+    getTileStep() {
+        const origin = this.getTileElement(0, 0);
+        const right = this.getTileElement(0, 1);
+        const below = this.getTileElement(1, 0);
+        const size = origin ? origin.offsetWidth : 0;
+        return {
+            x: origin && right ? right.offsetLeft - origin.offsetLeft : size,
+            y: origin && below ? below.offsetTop - origin.offsetTop : size
+        };
     }
 
     /**
      * Animate special emoji effects
+     * type is a special type or a combo type; details carries the fired special
+     * or the combo returned by MatchDetector.processSpecialCombo()
+     * Returns how long the effect runs in ms, so the tiles can stay until it is done
      */
-    animateSpecialEffect(row, col, type) {
+    animateSpecialEffect(row, col, type, details = {}) {
         const tile = this.getTileElement(row, col);
-        if (!tile) return;
+        if (!tile) return 0;
         
+        let duration = 300;
         switch (type) {
             case 'bomb':
                 this.createExplosionEffect(row, col);
                 break;
             case 'striped':
-                this.createStripedEffect(row, col);
+                this.createStripedEffect(row, col, details.orientation);
                 break;
             case 'rainbow':
+                duration = this.createRainbowEffect(row, col, details.targets || []);
+                break;
+            case 'stripedStriped':
+                this.createStripedEffect(row, col);
+                break;
+            case 'stripedBomb':
+                for (let offset = -1; offset <= 1; offset++) {
+                    this.createStripedEffect(row + offset, col + offset);
+                }
+                this.createExplosionEffect(row, col);
+                break;
+            case 'bombBomb':
+                this.createExplosionEffect(row, col, 2);
+                break;
+            case 'rainbowNormal':
+                duration = this.createRainbowEffect(row, col, details.targets);
+                break;
+            case 'rainbowStriped':
+                duration = this.createRainbowEffect(row, col, details.stripes);
+                setTimeout(() => {
+                    details.stripes.forEach(stripe => {
+                        this.createStripedEffect(stripe.row, stripe.col, stripe.orientation);
+                    });
+                }, duration - 300);
+                break;
+            case 'rainbowBomb':
+                duration = this.createRainbowEffect(row, col, details.targets);
+                setTimeout(() => {
+                    details.targets.forEach(target => this.createExplosionEffect(target.row, target.col));
+                }, duration - 300);
+                break;
+            case 'rainbowRainbow':
                 this.createRainbowEffect(row, col);
+                this.createExplosionEffect(row, col, 3);
+                break;
+            case 'fluttery':
+                if (details.target) {
+                    this.createFlutteryEffect(row, col, details.target);
+                }
+                break;
+            case 'flutteryFluttery':
+                (details.targets || []).forEach(target => this.createFlutteryEffect(row, col, target));
+                break;
+            case 'flutteryStriped':
+                (details.targets || []).forEach(target => {
+                    this.createFlutteryEffect(row, col, target);
+                    this.createStripedEffect(target.row, target.col, details.orientation);
+                });
+                break;
+            case 'flutteryBomb':
+                (details.targets || []).forEach(target => {
+                    this.createFlutteryEffect(row, col, target);
+                    this.createExplosionEffect(target.row, target.col);
+                });
+                break;
+            case 'rainbowFluttery':
+                this.createRainbowEffect(row, col);
+                (details.targets || []).forEach(target => this.createFlutteryEffect(row, col, target));
                 break;
         }
         
         this.playSound('specialSound');
+        return duration;
     }
 
     /**
      * Create explosion effect
+     * scale enlarges the blast for combos
      */
-    createExplosionEffect(row, col) {
+    createExplosionEffect(row, col, scale = 1) {
         const tile = this.getTileElement(row, col);
         if (!tile) return;
         
@@ -938,7 +1501,7 @@ class GameUI {
         explosion.style.top = '50%';
         explosion.style.left = '50%';
         explosion.style.transform = 'translate(-50%, -50%)';
-        explosion.style.fontSize = '48px';
+        explosion.style.fontSize = `${48 * scale}px`;
         explosion.textContent = '💥';
         
         tile.style.position = 'relative';
@@ -951,15 +1514,19 @@ class GameUI {
 
     /**
      * Create striped effect
+     * Lights up the row or column being cleared, or both if no orientation is given
      */
-    createStripedEffect(row, col) {
+    createStripedEffect(row, col, orientation = null) {
         // Add visual effect for striped emoji activation
         const tiles = this.boardElement.querySelectorAll('.emoji-tile');
         tiles.forEach(tile => {
             const tileRow = parseInt(tile.dataset.row);
             const tileCol = parseInt(tile.dataset.col);
             
-            if (tileRow === row || tileCol === col) {
+            const inRow = tileRow === row && orientation !== 'vertical';
+            const inCol = tileCol === col && orientation !== 'horizontal';
+            
+            if (inRow || inCol) {
                 tile.style.background = 'linear-gradient(45deg, #f59e0b, #fbbf24)';
                 setTimeout(() => {
                     tile.style.background = '';
@@ -968,23 +1535,93 @@ class GameUI {
         });
     }
 
+    /**
+     * Create fluttery effect
+     * A butterfly flies from the special to the tile it is about to clear
+     */
+    createFlutteryEffect(row, col, target) {
+        const targetTile = this.getTileElement(target.row, target.col);
+        this.createFlight(row, col, target, this.game.board.specialEmojis.fluttery, { duration: 300, lift: 1 });
+        
+        if (targetTile) {
+            setTimeout(() => targetTile.classList.add('fluttery-target'), 250);
+            setTimeout(() => targetTile.classList.remove('fluttery-target'), 600);
+        }
+    }
+
+    /**
+     * Send a symbol flying from one tile to another
+     * lift arcs the flight upwards by that many tiles at its midpoint
+     */
+    createFlight(row, col, target, symbol, { duration = 300, lift = 0 } = {}) {
+        const tile = this.getTileElement(row, col);
+        if (!tile) return;
+        
+        const flight = document.createElement('div');
+        flight.className = 'flight-effect';
+        flight.textContent = symbol;
+        tile.style.position = 'relative';
+        tile.appendChild(flight);
+        
+        if (flight.animate) {
+            const step = this.getTileStep();
+            const x = (target.col - col) * step.x;
+            const y = (target.row - row) * step.y;
+            flight.animate([
+                { transform: 'translate(-50%, -50%) scale(1)' },
+                { transform: `translate(calc(${x / 2}px - 50%), calc(${y / 2 - lift * step.y}px - 50%)) scale(1.4)`, offset: 0.5 },
+                { transform: `translate(calc(${x}px - 50%), calc(${y}px - 50%)) scale(1)` }
+            ], { duration, easing: 'ease-in-out', fill: 'forwards' });
+        }
+        
+        setTimeout(() => {
+            flight.remove();
+        }, duration + 50);
+    }
+
     /**
      * Create rainbow effect
+     * With targets, a spark flies from the rainbow to each tile it clears in turn, nearest first;
+     * without, the whole board lights up. Returns how long the effect runs in ms
      */
-    createRainbowEffect(row, col) {
-        const tiles = this.boardElement.querySelectorAll('.emoji-tile');
-        tiles.forEach((tile, index) => {
+    createRainbowEffect(row, col, targets = null) {
+        if (!targets) {
+            const tiles = this.boardElement.querySelectorAll('.emoji-tile');
+            tiles.forEach((tile, index) => {
+                setTimeout(() => this.flashRainbow(tile), index * 50);
+            });
+            return 300;
+        }
+        
+        const distance = pos => Math.abs(pos.row - row) + Math.abs(pos.col - col);
+        const ordered = [...targets].sort((a, b) => distance(a) - distance(b));
+        const flightTime = 200;
+        const interval = Math.min(80, 600 / Math.max(ordered.length, 1));
+        
+        ordered.forEach((target, index) => {
             setTimeout(() => {
-                tile.style.background = 'linear-gradient(45deg, #ff0000, #ff7f00, #ffff00, #00ff00, #0000ff, #4b0082, #9400d3)';
-                tile.style.backgroundSize = '400% 400%';
-                tile.style.animation = 'rainbow 0.5s ease';
-                
+                this.createFlight(row, col, target, '✨', { duration: flightTime });
                 setTimeout(() => {
-                    tile.style.background = '';
-                    tile.style.animation = '';
-                }, 500);
-            }, index * 50);
+                    const tile = this.getTileElement(target.row, target.col);
+                    if (tile) this.flashRainbow(tile);
+                }, flightTime);
+            }, index * interval);
         });
+        return Math.max(300, (ordered.length - 1) * interval + flightTime + 100);
+    }
+
+    /**
+     * Flash a tile in rainbow colours
+     */
+    flashRainbow(tile) {
+        tile.style.background = 'linear-gradient(45deg, #ff0000, #ff7f00, #ffff00, #00ff00, #0000ff, #4b0082, #9400d3)';
+        tile.style.backgroundSize = '400% 400%';
+        tile.style.animation = 'rainbow 0.5s ease';
+        
+        setTimeout(() => {
+            tile.style.background = '';
+            tile.style.animation = '';
+        }, 500);
     }
 
     /**
@@ -1008,6 +1645,13 @@ class GameUI {
      * Show game over modal
      */
     showGameOver(result) {
+        const reasons = {
+            noMoves: 'You ran out of moves.',
+            timeUp: 'Time ran out.',
+            bombExploded: 'A bomb went off! Match bombs before their counter reaches zero.',
+            deadlocked: 'No swap was left on the board, even after reshuffling.'
+        };
+        if (this.elements.gameOverReason) this.elements.gameOverReason.textContent = reasons[result.reason] || '';
         if (this.elements.finalScore) this.elements.finalScore.textContent = result.finalScore.toLocaleString();
         if (this.elements.finalLevel) this.elements.finalLevel.textContent = result.level;
         
@@ -1091,29 +1735,30 @@ class GameUI {
     }
 
     restartGame() {
+        if (!this.game.startNewGame()) return;
         this.hideAllModals();
-        this.game.startNewGame();
         this.renderBoard();
         this.updateUI();
     }
 
     restartLevel() {
+        // The game refuses while a move is still animating
+        if (!this.game.restartLevel()) return;
         this.hideAllModals();
-        this.game.restartLevel();
         this.renderBoard();
         this.updateUI();
     }
 
     nextLevel() {
+        if (!this.game.nextLevel()) return;
         this.hideAllModals();
-        this.game.nextLevel();
         this.renderBoard();
         this.updateUI();
     }
 
     replayLevel() {
+        if (!this.game.restartLevel()) return;
         this.hideAllModals();
-        this.game.restartLevel();
         this.renderBoard();
         this.updateUI();
     }